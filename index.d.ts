@@ -1,14 +1,36 @@
 /// <reference types="node" />
 import { IncomingMessage, ServerResponse, Server } from 'http';
-import { FastifyRequest, FastifyPluginCallback, RawServerBase, RawServerDefault, RawRequestDefaultExpression, RawReplyDefaultExpression, RequestGenericInterface, ContextConfigDefault, FastifyInstance} from 'fastify';
+import { FastifyRequest, FastifyPluginCallback, RawServerBase, RawServerDefault, RawRequestDefaultExpression, RawReplyDefaultExpression, RequestGenericInterface, ContextConfigDefault, FastifyInstance, FastifyBaseLogger, LogLevel, FastifyTypeProvider, FastifyTypeProviderDefault } from 'fastify';
 import * as fastify from 'fastify';
 import * as WebSocket from 'ws';
 import { Duplex, DuplexOptions } from 'stream';
+import { EventEmitter } from 'events';
+import { Cluster } from 'cluster';
 import { FastifyReply } from 'fastify/types/reply';
 import { RouteGenericInterface } from 'fastify/types/route';
+import { CallTypeProvider } from 'fastify/types/type-provider';
 
 interface WebsocketRouteOptions<RawServer extends RawServerBase = RawServerDefault, RawRequest extends RawRequestDefaultExpression<RawServer> = RawRequestDefaultExpression<RawServer>, RequestGeneric extends RequestGenericInterface = RequestGenericInterface> {
   wsHandler?: WebsocketHandler<RawServer, RawRequest, RequestGeneric>;
+  onInvalidMessage?: InvalidMessageAction;
+  messageFormat?: MessageFormat;
+  heartbeat?: HeartbeatOptions | false;
+  wsOptions?: WebsocketRouteServerOptions;
+  onShutdown?: (connection: SocketStream) => void | Promise<void>;
+  protocols?: string[];
+  replyHeaders?: boolean;
+  allowedOrigins?: AllowedOrigins;
+  csrf?: CsrfOptions | false;
+  rateLimit?: RateLimitOptions | false;
+  maxConnections?: Omit<MaxConnectionsOptions, 'global'> | false;
+  logConnections?: boolean | LogConnectionsOptions;
+  messages?: MessageTypes;
+  messageTypeKey?: string;
+  onUnknownMessage?: MessageTypeHandler;
+  rpc?: RpcOptions | false;
+  session?: SessionOptions | boolean;
+  codecs?: string[];
+  messageBuffer?: MessageBufferOptions | boolean;
 }
 
 declare module 'fastify' {
@@ -16,27 +38,70 @@ declare module 'fastify' {
     RawServer extends RawServerBase = RawServerDefault
   > {
     websocket?: boolean;
+    onInvalidMessage?: InvalidMessageAction;
+    messageFormat?: MessageFormat;
+    heartbeat?: HeartbeatOptions | false;
+    wsOptions?: WebsocketRouteServerOptions;
+    onShutdown?: (connection: SocketStream) => void | Promise<void>;
+    protocols?: string[];
+    replyHeaders?: boolean;
+    allowedOrigins?: AllowedOrigins;
+    csrf?: CsrfOptions | false;
+    rateLimit?: RateLimitOptions | false;
+    maxConnections?: Omit<MaxConnectionsOptions, 'global'> | false;
+    logConnections?: boolean | LogConnectionsOptions;
+    messages?: MessageTypes;
+    messageTypeKey?: string;
+    onUnknownMessage?: MessageTypeHandler;
+    rpc?: RpcOptions | false;
+    session?: SessionOptions | boolean;
+    codecs?: string[];
+    messageBuffer?: MessageBufferOptions | boolean;
+  }
+
+  interface FastifySchema {
+    message?: unknown;
+    outgoing?: unknown;
   }
 
   interface FastifyInstance<RawServer, RawRequest, RawReply, Logger, TypeProvider> {
     get: RouteShorthandMethod<RawServer, RawRequest, RawReply, TypeProvider>,
     websocketServer: WebSocket.Server,
+    injectWS: (path?: string, upgradeContext?: InjectWSOptions) => Promise<WebSocket>,
+    websocketBroadcast: (topic: string, data: unknown, options?: BroadcastOptions) => number,
+    websocketTopics: () => string[],
+    websocketSubscribers: (topic: string) => SocketStream[],
+    websocketMetrics: () => WebsocketMetrics,
+    websocketCodec: (name: string, codec: WebsocketCodec) => FastifyInstance<RawServer, RawRequest, RawReply, Logger, TypeProvider>,
+    decorateConnection: <T>(name: string | symbol, value: T | ConnectionDecorator<T>, dependencies?: Array<string | symbol>) => FastifyInstance<RawServer, RawRequest, RawReply, Logger, TypeProvider>,
+    hasConnectionDecorator: (name: string | symbol) => boolean,
+    addHook(name: 'onWsConnect', hook: OnWsConnectHook): FastifyInstance<RawServer, RawRequest, RawReply, Logger, TypeProvider>;
+    addHook(name: 'onWsMessage', hook: OnWsMessageHook): FastifyInstance<RawServer, RawRequest, RawReply, Logger, TypeProvider>;
+    addHook(name: 'onWsClose', hook: OnWsCloseHook): FastifyInstance<RawServer, RawRequest, RawReply, Logger, TypeProvider>;
+    addHook(name: 'onWsError', hook: OnWsErrorHook): FastifyInstance<RawServer, RawRequest, RawReply, Logger, TypeProvider>;
   }
 
   interface FastifyRequest {
     ws: boolean
   }
 
+  interface RequestGenericInterface {
+    Incoming?: unknown;
+    Outgoing?: unknown;
+  }
+
   interface RouteShorthandMethod<
     RawServer extends RawServerBase = RawServerDefault,
     RawRequest extends RawRequestDefaultExpression<RawServer> = RawRequestDefaultExpression<RawServer>,
     RawReply extends RawReplyDefaultExpression<RawServer> = RawReplyDefaultExpression<RawServer>,
+    TypeProvider extends FastifyTypeProvider = FastifyTypeProviderDefault,
+    Logger extends FastifyBaseLogger = FastifyBaseLogger
   > {
-    <RequestGeneric extends RequestGenericInterface = RequestGenericInterface, ContextConfig = ContextConfigDefault>(
+    <RequestGeneric extends RequestGenericInterface = RequestGenericInterface, ContextConfig = ContextConfigDefault, SchemaCompiler extends fastify.FastifySchema = fastify.FastifySchema>(
       path: string,
-      opts: RouteShorthandOptions<RawServer, RawRequest, RawReply, RequestGeneric, ContextConfig> & { websocket: true }, // this creates an overload that only applies these different types if the handler is for websockets
-      handler?: WebsocketHandler<RawServer, RawRequest, RequestGeneric>
-    ): FastifyInstance<RawServer, RawRequest, RawReply>;
+      opts: RouteShorthandOptions<RawServer, RawRequest, RawReply, RequestGeneric, ContextConfig, SchemaCompiler, TypeProvider, Logger> & { websocket: true }, // this creates an overload that only applies these different types if the handler is for websockets
+      handler?: WebsocketHandler<RawServer, RawRequest, RequestGeneric, ResolveIncoming<RequestGeneric, SchemaCompiler, TypeProvider>, ResolveOutgoing<RequestGeneric, SchemaCompiler, TypeProvider>, SchemaCompiler, TypeProvider>
+    ): FastifyInstance<RawServer, RawRequest, RawReply, Logger, TypeProvider>;
   }
 
   interface RouteOptions<RawServer extends RawServerBase = RawServerDefault, RawRequest extends RawRequestDefaultExpression<RawServer> = RawRequestDefaultExpression<RawServer>, RawReply extends RawReplyDefaultExpression<RawServer> = RawReplyDefaultExpression<RawServer>, RouteGeneric extends RouteGenericInterface = RouteGenericInterface, ContextConfig = ContextConfigDefault,SchemaCompiler = fastify.FastifySchema> extends WebsocketRouteOptions<RawServer, RawRequest, RouteGeneric> {}
@@ -46,24 +111,268 @@ declare const websocketPlugin: FastifyPluginCallback<WebsocketPluginOptions>;
 
 interface WebSocketServerOptions extends Omit<WebSocket.ServerOptions, "path"> {}
 
+export interface WebsocketRouteServerOptions extends Omit<WebSocket.ServerOptions, 'server' | 'port' | 'host' | 'backlog' | 'noServer' | 'path' | 'clientTracking'> {}
+
 export type WebsocketHandler<
   RawServer extends RawServerBase = RawServerDefault,
   RawRequest extends RawRequestDefaultExpression<RawServer> = RawRequestDefaultExpression<RawServer>,
-  RequestGeneric extends RequestGenericInterface = RequestGenericInterface
+  RequestGeneric extends RequestGenericInterface = RequestGenericInterface,
+  Incoming = never,
+  Outgoing = never,
+  SchemaCompiler extends fastify.FastifySchema = fastify.FastifySchema,
+  TypeProvider extends FastifyTypeProvider = FastifyTypeProviderDefault
 > = (
   this: FastifyInstance<Server, IncomingMessage, ServerResponse>,
-  connection: SocketStream,
-  request: FastifyRequest<RequestGeneric, RawServer, RawRequest>,
+  connection: WebsocketConnection<Incoming, Outgoing>,
+  request: FastifyRequest<RequestGeneric, RawServer, RawRequest, SchemaCompiler, TypeProvider>,
 ) => void | Promise<any>;
 
+type UnknownToNever<T> = unknown extends T ? never : T;
+
+type NeverToDefault<T, Default> = [T] extends [never] ? Default : T;
+
+/** The messages received on a route, typed by its `Incoming` generic, or by its `schema.message` with a type provider */
+export type ResolveIncoming<RequestGeneric, SchemaCompiler extends fastify.FastifySchema, TypeProvider extends FastifyTypeProvider> =
+  RequestGeneric extends { Incoming: infer Incoming } ? Incoming : UnknownToNever<CallTypeProvider<TypeProvider, SchemaCompiler['message']>>;
+
+/** The messages sent on a route, typed by its `Outgoing` generic, or by its `schema.outgoing` with a type provider */
+export type ResolveOutgoing<RequestGeneric, SchemaCompiler extends fastify.FastifySchema, TypeProvider extends FastifyTypeProvider> =
+  RequestGeneric extends { Outgoing: infer Outgoing } ? Outgoing : UnknownToNever<CallTypeProvider<TypeProvider, SchemaCompiler['outgoing']>>;
+
+/** The connection of a route, a `SocketStream` unless its messages are typed */
+export type WebsocketConnection<Incoming = never, Outgoing = never> = [Incoming, Outgoing] extends [never, never]
+  ? SocketStream
+  : TypedSocketStream<NeverToDefault<Incoming, WebSocket.RawData>, NeverToDefault<Outgoing, unknown>>;
+
+/** The socket of a connection, with the 'message' events and the sends typed like the messages of its route */
+export type TypedWebSocket<Incoming = WebSocket.RawData, Outgoing = unknown> = {
+  send(data: Outgoing | WebSocket.RawData | string, options?: { binary?: boolean; compress?: boolean; fin?: boolean; mask?: boolean }, cb?: (err?: Error) => void): void;
+  on(event: 'message', listener: (this: WebSocket, data: Incoming, isBinary: boolean) => void): WebSocket;
+  once(event: 'message', listener: (this: WebSocket, data: Incoming, isBinary: boolean) => void): WebSocket;
+} & WebSocket;
+
+/** The connection given to the handler of a route, with its messages typed */
+export interface TypedSocketStream<Incoming = WebSocket.RawData, Outgoing = unknown> extends SocketStream {
+  socket: TypedWebSocket<Incoming, Outgoing>;
+  send(data: Outgoing, options?: { binary?: boolean; compress?: boolean; fin?: boolean; mask?: boolean }, cb?: (err?: Error) => void): void;
+  messages(): AsyncIterableIterator<Incoming>;
+}
+
 export interface SocketStream extends Duplex {
   socket: WebSocket;
+  join(topic: string): SocketStream;
+  leave(topic: string): SocketStream;
+  readonly topics: string[];
+  latency?: number | null;
+  session?: WebsocketSession;
+  resumed?: boolean;
+  /** The name of the codec of the connection, on the routes with the `codecs` option */
+  codec?: string;
+  send(data: unknown, options?: { binary?: boolean; compress?: boolean; fin?: boolean; mask?: boolean }, cb?: (err?: Error) => void): void;
+  readonly id: string;
+  log: FastifyBaseLogger;
+  /** Only available on the routes with the `rpc` option */
+  call<Result = any>(method: string, params?: unknown[] | Record<string, unknown>, options?: { timeout?: number }): Promise<Result>;
+  /** Only available on the routes with the `rpc` option */
+  notify(method: string, params?: unknown[] | Record<string, unknown>): void;
+  /** Only available on the routes with the `messageBuffer` option */
+  messages(): AsyncIterableIterator<any>;
+}
+
+/** Declare the types of the decorators by merging them into the `SocketStream` interface */
+export type ConnectionDecorator<T> =
+  | { init: (this: FastifyInstance, connection: SocketStream, request: FastifyRequest) => T }
+  | { getter: (this: SocketStream) => T; setter?: (this: SocketStream, value: T) => void };
+
+export type OnWsConnectHook = (this: FastifyInstance, connection: SocketStream, request: FastifyRequest) => void | Promise<void>;
+
+export type OnWsMessageHook = (this: FastifyInstance, connection: SocketStream, message: any, request: FastifyRequest) => unknown | Promise<unknown>;
+
+export type OnWsCloseHook = (this: FastifyInstance, connection: SocketStream, code: number, reason: Buffer, request: FastifyRequest) => void | Promise<void>;
+
+export type OnWsErrorHook = (this: FastifyInstance, connection: SocketStream, error: Error, request: FastifyRequest) => void | Promise<void>;
+
+export interface ShutdownOptions {
+  code?: number;
+  reason?: string;
+  timeout?: number;
+}
+
+export interface SessionOptions {
+  gracePeriod?: number;
+  bufferSize?: number;
+}
+
+export interface MessageBufferOptions {
+  limit?: number;
+}
+
+export interface WebsocketSession {
+  readonly token: string;
+  state: Record<string, any>;
+  send(data: unknown, options?: { binary?: boolean; compress?: boolean; fin?: boolean; mask?: boolean }): void;
+  onExpire(listener: () => void): void;
+}
+
+export interface HeartbeatOptions {
+  interval: number;
+  timeout?: number;
+}
+
+export type AllowedOrigins = string | RegExp | Array<string | RegExp> | ((origin: string | undefined, request: FastifyRequest) => boolean | Promise<boolean>);
+
+export interface CsrfOptions {
+  verify: (token: string, request: FastifyRequest) => boolean | Promise<boolean>;
+  query?: string | false;
+  protocolPrefix?: string | false;
+}
+
+export interface RateLimitStore {
+  consume(key: string, cost: number, limit: number, interval: number): boolean | Promise<boolean>;
+  close?(): void | Promise<void>;
+}
+
+export class MemoryRateLimitStore implements RateLimitStore {
+  constructor(opts?: { pruneInterval?: number });
+  consume(key: string, cost: number, limit: number, interval: number): boolean;
+  close(): void;
+}
+
+export interface RateLimits {
+  messages?: number;
+  bytes?: number;
+}
+
+export interface RateLimitError extends Error {
+  statusCode: 429;
+  closeCode: 1008;
+  rateLimit: { scope: 'connection' | 'ip', unit: 'messages' | 'bytes', limit: number, interval: number };
+}
+
+export type RateLimitHandler = (this: FastifyInstance, error: RateLimitError, connection: SocketStream, request: FastifyRequest) => void;
+
+export interface RateLimitOptions {
+  interval?: number;
+  connection?: RateLimits;
+  ip?: RateLimits;
+  action?: 'drop' | 'send' | 'close' | RateLimitHandler;
+  store?: RateLimitStore;
+}
+
+export interface MaxConnectionsOptions {
+  global?: number;
+  route?: number;
+  client?: number;
+  key?: (request: FastifyRequest) => string | Promise<string>;
+  retryAfter?: number;
+}
+
+export interface WebsocketRouteMetrics {
+  connections: number;
+  messages: { in: number, out: number };
+  bytes: { in: number, out: number };
+  errors: number;
+}
+
+export interface WebsocketMetrics {
+  routes: Record<string, WebsocketRouteMetrics>;
+  handshakes: { accepted: number, rejected: Record<string, number> };
+  closeCodes: Record<string, number>;
+}
+
+export interface MetricsOptions {
+  url?: string;
+  prefix?: string;
+}
+
+export interface LogConnectionsOptions {
+  connect?: LogLevel | false;
+  close?: LogLevel | false;
+}
+
+export interface BroadcastOptions {
+  except?: SocketStream | SocketStream[];
+}
+
+export interface BroadcastEnvelope {
+  origin: string;
+  topic: string;
+  data: string | Buffer;
+  json?: boolean;
+}
+
+export interface BroadcastAdapter {
+  subscribe(onMessage: (envelope: BroadcastEnvelope) => void): void | Promise<void>;
+  publish(envelope: BroadcastEnvelope): void | Promise<void>;
+  close?(): void | Promise<void>;
+}
+
+export class MemoryAdapter implements BroadcastAdapter {
+  constructor(opts?: { bus?: EventEmitter });
+  subscribe(onMessage: (envelope: BroadcastEnvelope) => void): void;
+  publish(envelope: BroadcastEnvelope): void;
+  close(): void;
+}
+
+export class ClusterAdapter implements BroadcastAdapter {
+  constructor(opts?: { channel?: EventEmitter & { send(message: unknown): unknown } });
+  subscribe(onMessage: (envelope: BroadcastEnvelope) => void): void;
+  publish(envelope: BroadcastEnvelope): void;
+  close(): void;
+  static setupPrimary(cluster?: Cluster): void;
+}
+
+export interface InjectWSOptions {
+  headers?: Record<string, string>;
+  query?: string | Record<string, string | number | boolean | Array<string | number | boolean>>;
+  protocols?: string | string[];
+}
+
+export type MessageFormat = 'binary' | 'text' | 'json';
+
+export interface WebsocketCodec {
+  encode: (data: any) => string | Buffer;
+  decode: (data: Buffer) => unknown;
 }
 
+export type MessageTypeHandler = (this: FastifyInstance, message: any, connection: SocketStream, request: FastifyRequest) => void | Promise<unknown>;
+
+export type RpcMethod = (this: FastifyInstance, params: any, connection: SocketStream, request: FastifyRequest) => unknown;
+
+export interface RpcOptions {
+  methods: Record<string, RpcMethod>;
+  timeout?: number;
+}
+
+export type MessageTypes = Record<string, MessageTypeHandler | { schema?: unknown; handler: MessageTypeHandler }>;
+
+export interface InvalidMessageError extends Error {
+  statusCode: number;
+  closeCode: 1007 | 1008;
+  validation?: unknown[];
+  validationContext?: 'message';
+}
+
+export type InvalidMessageHandler = (this: FastifyInstance, error: InvalidMessageError, connection: SocketStream, request: FastifyRequest) => void;
+
+export type InvalidMessageAction = 'close' | 'send' | 'errorHandler' | InvalidMessageHandler;
+
 export interface WebsocketPluginOptions {
   errorHandler?: (this: FastifyInstance, error: Error, connection: SocketStream, request: FastifyRequest, reply: FastifyReply) => void;
   options?: WebSocketServerOptions;
   connectionOptions?: DuplexOptions;
+  upgradeOnError?: boolean;
+  onInvalidMessage?: InvalidMessageAction;
+  messageFormat?: MessageFormat;
+  broadcastAdapter?: BroadcastAdapter;
+  heartbeat?: HeartbeatOptions;
+  shutdown?: ShutdownOptions;
+  allowedOrigins?: AllowedOrigins;
+  csrf?: CsrfOptions;
+  rateLimit?: RateLimitOptions;
+  maxConnections?: MaxConnectionsOptions;
+  metrics?: MetricsOptions;
+  logConnections?: boolean | LogConnectionsOptions;
 }
 
 export interface RouteOptions<RawServer extends RawServerBase = RawServerDefault, RawRequest extends RawRequestDefaultExpression<RawServer> = RawRequestDefaultExpression<RawServer>, RawReply extends RawReplyDefaultExpression<RawServer> = RawReplyDefaultExpression<RawServer>, RouteGeneric extends RouteGenericInterface = RouteGenericInterface, ContextConfig = ContextConfigDefault, SchemaCompiler = fastify.FastifySchema> extends fastify.RouteOptions<RawServer, RawRequest, RawReply, RouteGeneric, ContextConfig, SchemaCompiler>, WebsocketRouteOptions<RawServer, RawRequest, RouteGeneric> {}
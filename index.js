@@ -1,22 +1,57 @@
 'use strict'
 
 const { ServerResponse } = require('http')
+const { randomUUID } = require('crypto')
 const fp = require('fastify-plugin')
 const WebSocket = require('ws')
+const injectWS = require('./lib/inject')
+const {
+  invalidMessageActions,
+  messageFormats,
+  interceptMessages,
+  observeIncoming,
+  observeOutgoing,
+  messageDecoder,
+  messageTypesOptions,
+  messageTypeResolver,
+  encodeMessages,
+  invalidMessageHandler
+} = require('./lib/message')
+const Rooms = require('./lib/rooms')
+const { Heartbeats, heartbeatOptions } = require('./lib/heartbeat')
+const { Shutdown, shutdownOptions } = require('./lib/shutdown')
+const { wsHookNames, kWsHooks, createHooks, runHooks, runMessageHooks } = require('./lib/hooks')
+const { protocolConstraint, isProtocolList, parseProtocols, selectProtocol } = require('./lib/protocols')
+const handshakeHeaders = require('./lib/headers')
+const { originMatcher, csrfOptions, csrfToken } = require('./lib/origin')
+const { ConnectionCounts, connectionLimitOptions } = require('./lib/connections')
+const { Metrics, metricsOptions } = require('./lib/metrics')
+const { publish, traceHandler } = require('./lib/diagnostics')
+const { logConnectionsOptions } = require('./lib/logging')
+const { RpcPeer, rpcOptions } = require('./lib/rpc')
+const { Sessions, sessionOptions } = require('./lib/session')
+const { kEncode, Codecs, codecName, selectCodec } = require('./lib/codecs')
+const { MessageQueue, messageBufferOptions } = require('./lib/queue')
+const { kConnectionDecorators, addConnectionDecorator, decorateConnection } = require('./lib/decorators')
+const { MemoryRateLimitStore, rateLimitOptions, rateLimiter, rateLimitHandler, rateLimitError } = require('./lib/rate-limit')
+const MemoryAdapter = require('./lib/adapters/memory')
+const ClusterAdapter = require('./lib/adapters/cluster')
 
 /** PERMIT TO OVERRIDE kWs SYMBOLS [Symbols are unique and not replicable ]**/
 let kWs = Symbol('ws-socket')
 let kWsHead = Symbol('ws-head')
+const kWsReplyHeaders = Symbol('ws-reply-headers')
 
 function fastifyWebsocket (fastify, opts, next) {
-  
   fastify.decorateRequest('ws', null)
 
   let errorHandler = defaultErrorHandler
-  if (opts.kWs)
-    kWs = opts.kWs;
-  if (opts.kWsHead)
-    kWsHead = opts.kWsHead;
+  if (opts.kWs) {
+    kWs = opts.kWs
+  }
+  if (opts.kWsHead) {
+    kWsHead = opts.kWsHead
+  }
 
   if (opts.errorHandler) {
     if (typeof opts.errorHandler !== 'function') {
@@ -26,6 +61,41 @@ function fastifyWebsocket (fastify, opts, next) {
     errorHandler = opts.errorHandler
   }
 
+  const upgradeOnError = opts.upgradeOnError === true
+
+  if (opts.onInvalidMessage !== undefined && !isInvalidMessageAction(opts.onInvalidMessage)) {
+    return next(new Error('invalid onInvalidMessage option'))
+  }
+
+  if (opts.messageFormat !== undefined && !messageFormats.includes(opts.messageFormat)) {
+    return next(new Error('invalid messageFormat option'))
+  }
+
+  let heartbeat
+  let shutdown
+  let allowedOrigins
+  let csrf
+  let rateLimit
+  let connectionLimits
+  let metricsConfig
+  let logConnections
+  try {
+    heartbeat = heartbeatOptions(opts.heartbeat)
+    shutdown = new Shutdown(shutdownOptions(opts.shutdown), fastify.log)
+    allowedOrigins = originMatcher(opts.allowedOrigins)
+    csrf = csrfOptions(opts.csrf)
+    rateLimit = rateLimitOptions(opts.rateLimit)
+    connectionLimits = connectionLimitOptions(opts.maxConnections, false)
+    metricsConfig = metricsOptions(opts.metrics)
+    logConnections = logConnectionsOptions(opts.logConnections)
+  } catch (err) {
+    return next(err)
+  }
+
+  if (opts.broadcastAdapter && !isBroadcastAdapter(opts.broadcastAdapter)) {
+    return next(new Error('invalid broadcastAdapter option'))
+  }
+
   if (opts.options && opts.options.noServer) {
     return next(new Error("fastify-websocket doesn't support the ws noServer option. If you want to create a websocket server detatched from fastify, use the ws library directly."))
   }
@@ -45,28 +115,132 @@ function fastifyWebsocket (fastify, opts, next) {
   const wss = new WebSocket.Server(wssOptions)
   fastify.decorate('websocketServer', wss)
 
+  // the headers set on the reply before the upgrade are sent with the 101 response
+  wss.on('headers', (headers, rawRequest) => {
+    if (rawRequest[kWsReplyHeaders]) {
+      headers.push(...rawRequest[kWsReplyHeaders])
+    }
+  })
+
+  const rooms = new Rooms(opts.broadcastAdapter, fastify.log)
+  fastify.decorate('websocketBroadcast', function (topic, data, options) {
+    return rooms.broadcast(topic, data, options && options.except)
+  })
+  fastify.decorate('websocketTopics', function () {
+    return rooms.topics()
+  })
+  fastify.decorate('websocketSubscribers', function (topic) {
+    return Array.from(rooms.subscribers(topic))
+  })
+
+  const heartbeats = new Heartbeats()
+
+  // shared by all the routes, so that the limits of a client survive its reconnections
+  const rateLimitStore = (rateLimit && rateLimit.store) || new MemoryRateLimitStore()
+  const globalRateLimiter = rateLimit && rateLimiter(rateLimit, rateLimitStore, '')
+
+  const connectionCounts = new ConnectionCounts()
+
+  const sessions = new Sessions()
+
+  const codecs = new Codecs()
+  fastify.decorate('websocketCodec', function (name, codec) {
+    codecs.register(name, codec)
+    return this
+  })
+
+  const metrics = new Metrics()
+  fastify.decorate('websocketMetrics', function () {
+    return metrics.snapshot()
+  })
+
+  fastify.addConstraintStrategy(protocolConstraint)
+
+  // Fastify only knows its own hooks, so the websocket ones are kept aside for every encapsulation context
+  fastify[kWsHooks] = createHooks()
+  const addHook = fastify.addHook
+  fastify.addHook = function (name, hook) {
+    if (!wsHookNames.includes(name)) {
+      return addHook.apply(this, arguments)
+    }
+    if (typeof hook !== 'function') {
+      throw new Error(`${name} hook should be a function`)
+    }
+    this[kWsHooks][name].push(hook)
+    return this
+  }
+
+  // the connection decorators are encapsulated the same way, a child context starting with those of its parent
+  fastify[kConnectionDecorators] = new Map()
+  fastify.decorate('decorateConnection', function (name, value, dependencies) {
+    addConnectionDecorator(this[kConnectionDecorators], name, value, dependencies)
+    return this
+  })
+  fastify.decorate('hasConnectionDecorator', function (name) {
+    return this[kConnectionDecorators].has(name)
+  })
+
+  fastify.addHook('onRegister', instance => {
+    instance[kWsHooks] = createHooks(instance[kWsHooks])
+    instance[kConnectionDecorators] = new Map(instance[kConnectionDecorators])
+  })
+
+  // Drives the same upgrade path a real client would, over an in-memory socket
+  fastify.decorate('injectWS', function (path, upgradeContext) {
+    return this.ready().then(() => injectWS(websocketListenServer, path, upgradeContext))
+  })
+
   websocketListenServer.on('upgrade', (rawRequest, socket, head) => {
     // Save a reference to the socket and then dispatch the request through the normal fastify router so that it will invoke hooks and then eventually a route handler that might upgrade the socket.
     rawRequest[kWs] = socket
     rawRequest[kWsHead] = head
 
-    if (closing) {
-      handleUpgrade(rawRequest, (connection) => {
-        connection.socket.close(1001)
+    if (shutdown.closing) {
+      metrics.reject('shutdown')
+      handleUpgrade(wss, rawRequest, null, opts.connectionOptions, (connection) => {
+        connection.socket.close(shutdown.code, shutdown.reason)
       })
     } else {
       const rawResponse = new ServerResponse(rawRequest)
+      // Any HTTP response sent instead of upgrading is the last thing written on this socket
+      rawResponse.shouldKeepAlive = false
       rawResponse.assignSocket(socket)
       fastify.routing(rawRequest, rawResponse)
     }
   })
 
-  const handleUpgrade = (rawRequest, callback) => {
-    wss.handleUpgrade(rawRequest, rawRequest[kWs], rawRequest[kWsHead], (socket) => {
+  // `request` is null for the upgrades that are not routed, during the shutdown or without any matching route
+  const handleUpgrade = (server, rawRequest, request, connectionOptions, callback) => {
+    server.handleUpgrade(rawRequest, rawRequest[kWs], rawRequest[kWsHead], (socket) => {
       wss.emit('connection', socket, rawRequest)
 
-      const connection = WebSocket.createWebSocketStream(socket, opts.connectionOptions)
+      const connection = WebSocket.createWebSocketStream(socket, connectionOptions)
       connection.socket = socket
+      connection.id = randomUUID()
+      connection.log = (request ? request.log : fastify.log).child({
+        connectionId: connection.id,
+        route: request ? request.routeOptions.url : undefined,
+        remoteAddress: request ? request.ip : rawRequest.socket.remoteAddress,
+        protocol: socket.protocol || undefined
+      })
+
+      connection.join = function (topic) {
+        rooms.join(connection, topic)
+        return connection
+      }
+      connection.leave = function (topic) {
+        rooms.leave(connection, topic)
+        return connection
+      }
+      Object.defineProperty(connection, 'topics', {
+        get: () => rooms.topicsOf(connection)
+      })
+      socket.once('close', () => rooms.leaveAll(connection))
+      shutdown.track(connection)
+
+      connection.messages = function () {
+        throw new Error('connection.messages() requires the messageBuffer option of the route')
+      }
 
       connection.socket.on('newListener', event => {
         if (event === 'message') {
@@ -88,11 +262,13 @@ function fastifyWebsocket (fastify, opts, next) {
   })
 
   fastify.addHook('onError', (request, reply, error, done) => {
-    /* istanbul ignore next */
-    if (request.raw[kWs]) {
+    // By default errors raised before the websocket handler runs are sent as a plain HTTP response and the
+    // connection is never upgraded. The upgradeOnError option restores the previous behavior of upgrading first.
+    if (upgradeOnError && request.raw[kWs]) {
       // Hijack reply to prevent fastify from sending the error after onError hooks are done running
       reply.hijack()
-      handleUpgrade(request.raw, connection => {
+      metrics.reject('error')
+      handleUpgrade(wss, request.raw, request, opts.connectionOptions, connection => {
         // Handle the error
         errorHandler.call(this, error, connection, request, reply)
       })
@@ -102,6 +278,8 @@ function fastifyWebsocket (fastify, opts, next) {
 
   fastify.addHook('onResponse', (request, reply, done) => {
     if (request.ws) {
+      // the handshake was answered with an HTTP response instead of being upgraded
+      metrics.reject(reply.statusCode)
       request.raw[kWs].destroy()
     }
     done()
@@ -111,6 +289,13 @@ function fastifyWebsocket (fastify, opts, next) {
     let isWebsocketRoute = false
     let wsHandler = routeOptions.wsHandler
     let handler = routeOptions.handler
+    let routeCsrf = null
+    let routeLogConnections = logConnections
+    let messageTypes = null
+    let rpc = null
+    let routeSession = null
+    let routeCodecs = null
+    let routeMessageBuffer = null
 
     if (routeOptions.websocket || routeOptions.wsHandler) {
       if (routeOptions.method === 'HEAD') {
@@ -131,28 +316,350 @@ function fastifyWebsocket (fastify, opts, next) {
       if (typeof wsHandler !== 'function') {
         throw new Error('invalid wsHandler function')
       }
+
+      if (routeOptions.onInvalidMessage !== undefined && !isInvalidMessageAction(routeOptions.onInvalidMessage)) {
+        throw new Error('invalid onInvalidMessage option')
+      }
+
+      if (routeOptions.messageFormat !== undefined && !messageFormats.includes(routeOptions.messageFormat)) {
+        throw new Error('invalid messageFormat option')
+      }
+
+      if (routeOptions.messages !== undefined) {
+        messageTypes = messageTypesOptions(routeOptions.messages)
+      }
+
+      routeSession = sessionOptions(routeOptions.session)
+      routeMessageBuffer = messageBufferOptions(routeOptions.messageBuffer)
+      if (routeOptions.codecs !== undefined) {
+        routeCodecs = codecs.resolve(routeOptions.codecs)
+        if (routeOptions.messageFormat !== undefined) {
+          throw new Error('codecs cannot be used with the messageFormat option')
+        }
+      }
+      rpc = rpcOptions(routeOptions.rpc)
+      if (rpc && (messageTypes || (routeOptions.schema && routeOptions.schema.message))) {
+        throw new Error('rpc cannot be used with messages or schema.message')
+      }
+
+      if (routeOptions.messageTypeKey !== undefined && typeof routeOptions.messageTypeKey !== 'string') {
+        throw new Error('invalid messageTypeKey option')
+      }
+
+      if (routeOptions.onUnknownMessage !== undefined && typeof routeOptions.onUnknownMessage !== 'function') {
+        throw new Error('invalid onUnknownMessage function')
+      }
+
+      if (routeOptions.onShutdown !== undefined && typeof routeOptions.onShutdown !== 'function') {
+        throw new Error('invalid onShutdown function')
+      }
+
+      if (routeOptions.logConnections !== undefined) {
+        routeLogConnections = logConnectionsOptions(routeOptions.logConnections)
+      }
+
+      if (routeOptions.replyHeaders !== undefined && typeof routeOptions.replyHeaders !== 'boolean') {
+        throw new Error('invalid replyHeaders option')
+      }
+
+      if (routeOptions.protocols !== undefined) {
+        if (!isProtocolList(routeOptions.protocols)) {
+          throw new Error('invalid protocols option')
+        }
+        routeOptions.constraints = Object.assign({}, routeOptions.constraints, { [protocolConstraint.name]: routeOptions.protocols })
+      }
+
+      // checked before any other hook of the route, so that a cross-site handshake is rejected as early as possible
+      const routeAllowedOrigins = routeOptions.allowedOrigins === undefined ? allowedOrigins : originMatcher(routeOptions.allowedOrigins)
+      routeCsrf = routeOptions.csrf === undefined ? csrf : csrfOptions(routeOptions.csrf)
+      const routeConnectionLimits = routeOptions.maxConnections === undefined
+        ? connectionLimits
+        : connectionLimitOptions(routeOptions.maxConnections, true)
+      const limitConnections = connectionLimiter(routeConnectionLimits, routeOptions.url, routeOptions.maxConnections !== undefined)
+      if (limitConnections) {
+        routeOptions.onRequest = [limitConnections].concat(routeOptions.onRequest || [])
+      }
+      if (routeAllowedOrigins || routeCsrf) {
+        routeOptions.onRequest = [verifyHandshake(routeAllowedOrigins, routeCsrf)].concat(routeOptions.onRequest || [])
+      }
     }
 
+    const messageSchema = routeOptions.schema && routeOptions.schema.message
+    const outgoingSchema = routeOptions.schema && routeOptions.schema.outgoing
+    const onInvalidMessage = invalidMessageHandler(routeOptions.onInvalidMessage || opts.onInvalidMessage, errorHandler)
+
+    // Validating or dispatching messages requires parsing them, so a schema.message, message types, rpc or codecs
+    // always imply the json format, the codecs taking the place of JSON
+    if (messageSchema && routeOptions.messageFormat && routeOptions.messageFormat !== 'json') {
+      throw new Error('schema.message can only be used with the json messageFormat')
+    }
+    if (messageTypes && routeOptions.messageFormat && routeOptions.messageFormat !== 'json') {
+      throw new Error('messages can only be used with the json messageFormat')
+    }
+    if (rpc && routeOptions.messageFormat && routeOptions.messageFormat !== 'json') {
+      throw new Error('rpc can only be used with the json messageFormat')
+    }
+    const messageFormat = messageSchema || messageTypes || rpc || routeCodecs ? 'json' : routeOptions.messageFormat || opts.messageFormat || 'binary'
+    const routeHeartbeat = routeOptions.heartbeat === undefined ? heartbeat : heartbeatOptions(routeOptions.heartbeat)
+    const protocols = isWebsocketRoute && routeOptions.protocols
+    const replyHeaders = isWebsocketRoute && routeOptions.replyHeaders !== false
+    let routeRateLimit = rateLimit
+    let routeRateLimiter = globalRateLimiter
+    if (isWebsocketRoute && routeOptions.rateLimit !== undefined) {
+      routeRateLimit = rateLimitOptions(routeOptions.rateLimit)
+      routeRateLimiter = routeRateLimit && rateLimiter(routeRateLimit, routeRateLimit.store || rateLimitStore, routeOptions.url + '|')
+    }
+    const onRateLimited = routeRateLimit && rateLimitHandler(routeRateLimit.action)
+    const tokenPrefix = !protocols && routeCsrf && routeCsrf.protocolPrefix
+    let server = wss
+    if (protocols) {
+      // echo the subprotocol the route was selected for, unless the route chooses it itself
+      server = routeServer(wss, Object.assign({ handleProtocols: offered => selectProtocol(offered, protocols) }, routeOptions.wsOptions))
+    } else if (tokenPrefix || routeCodecs) {
+      // the subprotocols standing for a codec of the route are echoed back first. The one carrying the CSRF token is
+      // only echoed back when the client offers no other one, since clients fail the connection when none of the
+      // subprotocols they offered is selected
+      const handleProtocols = offered => {
+        const list = Array.from(offered)
+        return (routeCodecs && list.find(protocol => routeCodecs.has(codecName(protocol)))) ||
+          (tokenPrefix && list.find(protocol => !protocol.startsWith(tokenPrefix))) ||
+          list[0]
+      }
+      server = routeServer(wss, Object.assign({ handleProtocols }, routeOptions.wsOptions))
+    } else if (isWebsocketRoute && routeOptions.wsOptions) {
+      server = routeServer(wss, routeOptions.wsOptions)
+    }
+    const connectionOptions = messageFormat === 'json'
+      ? Object.assign({}, opts.connectionOptions, { readableObjectMode: true })
+      : opts.connectionOptions
+
     // we always override the route handler so we can close websocket connections to routes to handlers that don't support websocket connections
     // This is not an arrow function to fetch the encapsulated this
     routeOptions.handler = function (request, reply) {
       // within the route handler, we check if there has been a connection upgrade by looking at request.raw[kWs]. we need to dispatch the normal HTTP handler if not, and hijack to dispatch the websocket handler if so
       if (request.raw[kWs]) {
+        if (protocols && !selectProtocol(parseProtocols(request.headers['sec-websocket-protocol'] || ''), protocols)) {
+          const error = new Error(`Unsupported websocket subprotocol, expected one of: ${protocols.join(', ')}`)
+          error.statusCode = 400
+          throw error
+        }
+
+        if (replyHeaders) {
+          request.raw[kWsReplyHeaders] = handshakeHeaders(reply.getHeaders())
+        }
+
+        if (isWebsocketRoute) {
+          publish('upgrade', { request, reply, route: routeOptions })
+        }
+
         reply.hijack()
-        handleUpgrade(request.raw, connection => {
-          let result
-          try {
-            if (isWebsocketRoute) {
-              result = wsHandler.call(this, connection, request)
+        handleUpgrade(isWebsocketRoute ? server : wss, request.raw, request, isWebsocketRoute ? connectionOptions : opts.connectionOptions, connection => {
+          const hooks = this[kWsHooks]
+          const context = { request, reply, route: routeOptions, connection }
+          // the connections to the routes without websocket handler are closed right away, and only counted as rejected
+          const stats = isWebsocketRoute ? metrics.accept(routeOptions.url) : { errors: 0 }
+
+          // errors of the handler and of the hooks go through the onWsError hooks before reaching the errorHandler
+          const fail = err => {
+            stats.errors++
+            publish('error', context, { error: err })
+            if (!isWebsocketRoute || hooks.onWsError.length === 0) {
+              return errorHandler.call(this, err, connection, request, reply)
+            }
+            runHooks(hooks.onWsError, this, [connection, err, request])
+              .catch(hookError => connection.log.error({ err: hookError }, 'onWsError hook failed'))
+              .then(() => errorHandler.call(this, err, connection, request, reply))
+          }
+
+          // the messages received while the onWsConnect hooks run are delivered once the handler is called
+          let connected = null
+          if (isWebsocketRoute) {
+            try {
+              decorateConnection(connection, this[kConnectionDecorators], this, request)
+            } catch (err) {
+              connected = Promise.reject(err)
+            }
+            publish('connection', context)
+            const openedAt = reply.elapsedTime
+            const messages = { in: 0, out: 0 }
+            if (routeLogConnections.connect) {
+              connection.log[routeLogConnections.connect]('websocket connection opened')
+            }
+
+            // the outgoing messages are observed once encoded, and the incoming ones before being intercepted
+            observeOutgoing(connection, data => {
+              messages.out++
+              metrics.send(stats, data)
+              publish('send', context, { data })
+            })
+            connection.socket.once('close', (code, reason) => {
+              metrics.close(stats, code)
+              if (routeLogConnections.close) {
+                const duration = reply.elapsedTime - openedAt
+                connection.log[routeLogConnections.close]({ code, reason: reason.toString(), duration, messages }, 'websocket connection closed')
+              }
+              publish('close', context, { code, reason })
+            })
+            connection.socket.on('error', error => {
+              publish('error', context, { error })
+            })
+
+            // the codec of the connection is the one of the subprotocol it negotiated
+            let codec = null
+            if (routeCodecs) {
+              connection.codec = selectCodec(routeCodecs, connection.socket.protocol)
+              codec = routeCodecs.get(connection.codec)
+            }
+            connection[kEncode] = codec ? codec.encode : JSON.stringify
+            if (routeSession) {
+              sessions.connect(connection, routeSession, routeOptions.url, request.query, connection[kEncode], Boolean(rpc))
+            }
+
+            if (routeHeartbeat) {
+              heartbeats.start(connection, routeHeartbeat)
+            }
+            if (routeOptions.onShutdown) {
+              shutdown.track(connection, routeOptions.onShutdown)
+            }
+            if (!connected && hooks.onWsConnect.length > 0) {
+              connected = runHooks(hooks.onWsConnect, this, [connection, request])
+            }
+
+            // the frames of the rpc routes are JSON-RPC messages, answered by the methods of the route
+            const rpcPeer = rpc && new RpcPeer(connection, rpc, (method, params) => method.call(this, params, connection, request))
+            if (rpcPeer) {
+              connection.call = (method, params, options) => rpcPeer.call(method, params, options)
+              connection.notify = (method, params) => rpcPeer.notify(method, params)
+            }
+
+            const decode = messageDecoder(connection, messageFormat, messageSchema && request.compileValidationSchema(messageSchema), error => {
+              if (rpcPeer) {
+                return rpcPeer.parseError()
+              }
+              onInvalidMessage.call(this, error, connection, request, reply)
+            }, codec ? codec.decode : undefined)
+            const processMessage = data => {
+              const message = decode ? decode(data) : data
+              if (message === undefined || hooks.onWsMessage.length === 0) {
+                return message
+              }
+              return runMessageHooks(hooks.onWsMessage, this, connection, message, request).then(
+                message => message === null ? undefined : message,
+                err => { fail(err) }
+              )
+            }
+            // the messages of the routes declaring their types are consumed by the handler of their type
+            const resolveType = messageTypes && messageTypeResolver(
+              messageTypes,
+              routeOptions.messageTypeKey || 'type',
+              schema => request.compileValidationSchema(schema),
+              routeOptions.onUnknownMessage,
+              error => { onInvalidMessage.call(this, error, connection, request, reply) }
+            )
+            const dispatchMessage = message => {
+              const messageHandler = message !== undefined && resolveType(message)
+              if (!messageHandler) {
+                return
+              }
+              try {
+                const result = messageHandler.call(this, message, connection, request)
+                if (result && typeof result.catch === 'function') {
+                  result.catch(fail)
+                }
+              } catch (err) {
+                fail(err)
+              }
+            }
+            // the requests are answered concurrently, without holding back the frames received after them
+            const receiveRpc = message => {
+              if (message !== undefined) {
+                rpcPeer.receive(message).catch(fail)
+              }
+            }
+            const consumeMessage = resolveType ? dispatchMessage : rpcPeer && receiveRpc
+            const deliverMessage = data => {
+              const message = connected ? connected.then(() => processMessage(data), () => undefined) : processMessage(data)
+              if (!consumeMessage) {
+                return message
+              }
+              return message && typeof message.then === 'function' ? message.then(consumeMessage) : consumeMessage(message)
+            }
+            // the frames over the limits are dropped before being decoded
+            const limit = routeRateLimiter && routeRateLimiter(connection, request)
+            const limitMessage = exceeded => {
+              if (exceeded) {
+                onRateLimited.call(this, rateLimitError(exceeded, routeRateLimit.interval), connection, request)
+              }
+              return exceeded
+            }
+            if (limit) {
+              interceptMessages(connection, data => {
+                const exceeded = limit(data)
+                if (exceeded && typeof exceeded.then === 'function') {
+                  return exceeded.then(exceeded => limitMessage(exceeded) ? undefined : deliverMessage(data))
+                }
+                return limitMessage(exceeded) ? undefined : deliverMessage(data)
+              }, !routeMessageBuffer, fail)
+            } else if (decode || connected || hooks.onWsMessage.length > 0 || routeMessageBuffer) {
+              interceptMessages(connection, deliverMessage, !routeMessageBuffer, fail)
+            }
+            // the messages are buffered for connection.messages() instead of the connection stream
+            if (routeMessageBuffer) {
+              const queue = new MessageQueue(connection.socket, routeMessageBuffer.limit)
+              connection.messages = () => queue.iterator()
+            }
+
+            observeIncoming(connection, (data, isBinary) => {
+              messages.in++
+              metrics.receive(stats, data)
+              publish('message', context, { data, isBinary })
+            })
+
+            // connection.send() encodes whatever it is given, strings and buffers included
+            if (messageFormat === 'json' || outgoingSchema) {
+              const serialize = encodeMessages(connection, outgoingSchema && request.compileValidationSchema(outgoingSchema), codec ? codec.encode : undefined)
+              connection.send = (data, options, cb) => connection.socket.send(serialize(data), options, cb)
             } else {
-              result = noHandle.call(this, connection, request)
+              connection.send = (data, options, cb) => connection.socket.send(data, options, cb)
+            }
+
+            if (hooks.onWsClose.length > 0) {
+              connection.socket.once('close', (code, reason) => {
+                runHooks(hooks.onWsClose, this, [connection, code, reason, request])
+                  .catch(err => connection.log.error({ err }, 'onWsClose hook failed'))
+              })
+            }
+            if (hooks.onWsError.length > 0) {
+              connection.socket.on('error', error => {
+                runHooks(hooks.onWsError, this, [connection, error, request])
+                  .catch(err => connection.log.error({ err }, 'onWsError hook failed'))
+              })
+            }
+          }
+
+          const invoke = () => {
+            connected = null
+
+            let result
+            try {
+              if (isWebsocketRoute) {
+                result = traceHandler(context, wsHandler, this, [connection, request])
+              } else {
+                result = noHandle.call(this, connection, request)
+              }
+            } catch (err) {
+              return fail(err)
+            }
+
+            if (result && typeof result.catch === 'function') {
+              result.catch(fail)
             }
-          } catch (err) {
-            return errorHandler.call(this, err, connection, request, reply)
           }
 
-          if (result && typeof result.catch === 'function') {
-            result.catch(err => errorHandler.call(this, err, connection, request, reply))
+          if (connected) {
+            connected.then(invoke, fail)
+          } else {
+            invoke()
           }
         })
       } else {
@@ -162,46 +669,102 @@ function fastifyWebsocket (fastify, opts, next) {
   })
 
   fastify.addHook('onClose', close)
+  fastify.addHook('onClose', function (instance, done) {
+    Promise.resolve()
+      .then(() => sessions.close())
+      .then(() => rooms.close())
+      .then(() => typeof rateLimitStore.close === 'function' && rateLimitStore.close())
+      .then(() => done(), done)
+  })
+
+  // Runs before the server stops listening, the upgrades received from now on are closed right away
+  fastify.addHook('preClose', function (done) {
+    heartbeats.stopAll()
+    shutdown.close().then(() => done())
+  })
 
-  let closing = false
+  function verifyHandshake (isAllowedOrigin, csrf) {
+    return async function (request) {
+      if (!request.raw[kWs]) {
+        return
+      }
 
-  // Fastify is missing a pre-close event, or the ability to
-  // add a hook before the server.close call. We need to resort
-  // to monkeypatching for now.
-  const oldClose = fastify.server.close
-  fastify.server.close = function (cb) {
-    closing = true
+      const origin = request.headers.origin
+      if (isAllowedOrigin && !(await isAllowedOrigin(origin, request))) {
+        request.log.warn({ origin }, 'websocket handshake rejected, origin not allowed')
+        throw forbidden('Origin not allowed')
+      }
 
-    // Call oldClose first so that we stop listening. This ensures the
-    // server.clients list will be up to date when we start closing below.
-    oldClose.call(this, cb)
+      if (csrf) {
+        const token = csrfToken(csrf, request)
+        if (token === undefined || !(await csrf.verify(token, request))) {
+          request.log.warn({ origin }, 'websocket handshake rejected, invalid CSRF token')
+          throw forbidden('Invalid CSRF token')
+        }
+      }
+    }
+  }
+
+  // Reserves the connection of a handshake until its socket closes, whether it is upgraded or not. The routes with
+  // their own limits count the connections of each client apart from the other routes.
+  function connectionLimiter (routeLimits, url, ownClients) {
+    const limits = []
+    if (connectionLimits && connectionLimits.global) {
+      limits.push({ key: 'global', max: connectionLimits.global, retryAfter: connectionLimits.retryAfter, statusCode: 503 })
+    }
+    if (routeLimits && routeLimits.route) {
+      limits.push({ key: `route|${url}`, max: routeLimits.route, retryAfter: routeLimits.retryAfter, statusCode: 503 })
+    }
+    const client = routeLimits && routeLimits.client
+    if (limits.length === 0 && !client) {
+      return null
+    }
+
+    return async function (request, reply) {
+      if (!request.raw[kWs]) {
+        return
+      }
 
-    const server = fastify.websocketServer
-    if (!server.clients) return
-    for (const client of server.clients) {
-      client.close()
+      const requestLimits = client
+        ? limits.concat({ key: `client|${ownClients ? url : ''}|${await routeLimits.key(request)}`, max: client, retryAfter: routeLimits.retryAfter, statusCode: 429 })
+        : limits
+      const exceeded = connectionCounts.acquire(requestLimits)
+      if (exceeded) {
+        reply.header('retry-after', exceeded.retryAfter)
+        const error = new Error(exceeded.statusCode === 429 ? 'Too many websocket connections from this client' : 'Too many websocket connections')
+        error.statusCode = exceeded.statusCode
+        throw error
+      }
+      request.raw[kWs].once('close', () => connectionCounts.release(requestLimits))
     }
   }
 
   function noHandle (connection, rawRequest) {
-    this.log.info({ path: rawRequest.url }, 'closed incoming websocket connection for path with no websocket handler')
+    metrics.reject('no_handler')
+    connection.log.info({ path: rawRequest.url }, 'closed incoming websocket connection for path with no websocket handler')
     connection.socket.close()
   }
 
-  function defaultErrorHandler (error, conn, request) {
+  function defaultErrorHandler (error, conn) {
     // Before destroying the connection, we attach an error listener.
     // Since we already handled the error, adding this listener prevents the ws
     // library from emitting the error and causing an uncaughtException
     // Reference: https://github.com/websockets/ws/blob/master/lib/stream.js#L35
     conn.on('error', _ => {})
-    request.log.error(error)
+    conn.log.error(error)
     conn.destroy(error)
   }
 
+  if (metricsConfig.url) {
+    fastify.get(metricsConfig.url, function (request, reply) {
+      reply.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.prometheus(metricsConfig.prefix))
+    })
+  }
+
   const oldDefaultRoute = fastify.getDefaultRoute()
   fastify.setDefaultRoute(function (req, res) {
     if (req[kWs]) {
-      handleUpgrade(req, (connection) => {
+      handleUpgrade(wss, req, null, opts.connectionOptions, (connection) => {
         noHandle.call(fastify, connection, req)
       })
     } else {
@@ -209,7 +772,43 @@ function fastifyWebsocket (fastify, opts, next) {
     }
   })
 
-  next()
+  // adapters talking to an external broker may need to wait for the subscription to be established
+  Promise.resolve()
+    .then(() => rooms.start())
+    .then(() => next(), next)
+}
+
+function isInvalidMessageAction (action) {
+  return typeof action === 'function' || invalidMessageActions.includes(action)
+}
+
+const serverOnlyOptions = ['server', 'port', 'host', 'backlog', 'noServer', 'path', 'clientTracking']
+
+// Derives a server from the plugin one that upgrades with the options of a route. It shares the clients, state and
+// listeners of the plugin server, so the connections it creates are tracked and closed like the others.
+function routeServer (wss, wsOptions) {
+  for (const option of serverOnlyOptions) {
+    if (wsOptions[option] !== undefined) {
+      throw new Error(`the ${option} option cannot be set in the wsOptions of a route`)
+    }
+  }
+
+  const server = Object.create(wss)
+  server.options = Object.assign({}, wss.options, wsOptions)
+  if (server.options.perMessageDeflate === true) {
+    server.options.perMessageDeflate = {}
+  }
+  return server
+}
+
+function forbidden (message) {
+  const error = new Error(message)
+  error.statusCode = 403
+  return error
+}
+
+function isBroadcastAdapter (adapter) {
+  return typeof adapter.subscribe === 'function' && typeof adapter.publish === 'function'
 }
 
 function close (fastify, done) {
@@ -218,6 +817,10 @@ function close (fastify, done) {
 }
 
 module.exports = fp(fastifyWebsocket, {
-  fastify: '>= 3.11.0',
+  fastify: '4.x',
   name: '@fastify/websocket'
 })
+
+module.exports.MemoryAdapter = MemoryAdapter
+module.exports.ClusterAdapter = ClusterAdapter
+module.exports.MemoryRateLimitStore = MemoryRateLimitStore
@@ -0,0 +1,68 @@
+'use strict'
+
+const MESSAGE_TYPE = 'fastify-websocket:broadcast'
+
+// Delivers the broadcasts to the workers of a Node.js cluster through the IPC channel. The primary process
+// relays the messages between its workers, see ClusterAdapter.setupPrimary().
+class ClusterAdapter {
+  constructor (opts) {
+    this.channel = (opts && opts.channel) || process
+    if (typeof this.channel.send !== 'function') {
+      throw new Error('ClusterAdapter can only be used in a cluster worker')
+    }
+    this.listeners = []
+  }
+
+  subscribe (onMessage) {
+    const listener = function (message) {
+      if (message && message.type === MESSAGE_TYPE) {
+        onMessage(decode(message.envelope))
+      }
+    }
+    this.listeners.push(listener)
+    this.channel.on('message', listener)
+  }
+
+  publish (envelope) {
+    this.channel.send({ type: MESSAGE_TYPE, envelope: encode(envelope) })
+  }
+
+  close () {
+    for (const listener of this.listeners) {
+      this.channel.removeListener('message', listener)
+    }
+    this.listeners = []
+  }
+
+  static setupPrimary (cluster) {
+    cluster = cluster || require('cluster')
+    cluster.on('message', function (worker, message) {
+      if (!message || message.type !== MESSAGE_TYPE) {
+        return
+      }
+      for (const id in cluster.workers) {
+        const other = cluster.workers[id]
+        if (other !== worker && other.isConnected()) {
+          other.send(message)
+        }
+      }
+    })
+  }
+}
+
+// The IPC channel serializes messages to JSON, which does not preserve buffers
+function encode (envelope) {
+  if (Buffer.isBuffer(envelope.data)) {
+    return Object.assign({}, envelope, { data: envelope.data.toString('base64'), binary: true })
+  }
+  return envelope
+}
+
+function decode (envelope) {
+  if (envelope.binary) {
+    return { origin: envelope.origin, topic: envelope.topic, data: Buffer.from(envelope.data, 'base64') }
+  }
+  return envelope
+}
+
+module.exports = ClusterAdapter
@@ -0,0 +1,30 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+
+// Delivers the broadcasts to the instances of this process sharing the same `bus`. Without one the
+// broadcasts stay local to the instance, which is the default behaviour of the plugin.
+class MemoryAdapter {
+  constructor (opts) {
+    this.bus = (opts && opts.bus) || new EventEmitter()
+    this.listeners = []
+  }
+
+  subscribe (onMessage) {
+    this.listeners.push(onMessage)
+    this.bus.on('message', onMessage)
+  }
+
+  publish (envelope) {
+    this.bus.emit('message', envelope)
+  }
+
+  close () {
+    for (const listener of this.listeners) {
+      this.bus.removeListener('message', listener)
+    }
+    this.listeners = []
+  }
+}
+
+module.exports = MemoryAdapter
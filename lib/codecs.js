@@ -0,0 +1,56 @@
+'use strict'
+
+// the function encoding the frames the plugin sends on a connection, with the codec it negotiated or JSON
+const kEncode = Symbol('ws-encode')
+
+// The codecs encoding and decoding the messages of the routes with the `codecs` option, json being built in
+class Codecs {
+  constructor () {
+    this.codecs = new Map([['json', { encode: JSON.stringify, decode: data => JSON.parse(data) }]])
+  }
+
+  register (name, codec) {
+    if (typeof name !== 'string' || name === '' || name.includes('.') ||
+      codec === null || typeof codec !== 'object' || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+      throw new Error('invalid codec')
+    }
+    if (this.codecs.has(name)) {
+      throw new Error(`codec ${name} is already registered`)
+    }
+    this.codecs.set(name, { encode: codec.encode, decode: codec.decode })
+  }
+
+  // The codecs of a route, by name and in order of preference
+  resolve (names) {
+    if (!Array.isArray(names) || names.length === 0) {
+      throw new Error('invalid codecs option')
+    }
+    const codecs = new Map()
+    for (const name of names) {
+      const codec = this.codecs.get(name)
+      if (codec === undefined) {
+        throw new Error(`unknown codec ${name}`)
+      }
+      codecs.set(name, codec)
+    }
+    return codecs
+  }
+}
+
+// The name of the codec a subprotocol stands for, its last dot-separated part, as `msgpack` in `v1.msgpack`
+function codecName (protocol) {
+  return protocol.slice(protocol.lastIndexOf('.') + 1)
+}
+
+// The codec of the negotiated subprotocol, or the first one of the route when it does not stand for any of them
+function selectCodec (codecs, protocol) {
+  const name = codecName(protocol)
+  return codecs.has(name) ? name : codecs.keys().next().value
+}
+
+module.exports = {
+  kEncode,
+  Codecs,
+  codecName,
+  selectCodec
+}
@@ -0,0 +1,66 @@
+'use strict'
+
+// Counts the connections open, or being opened, under each key
+class ConnectionCounts {
+  constructor () {
+    this.counts = new Map()
+  }
+
+  count (key) {
+    return this.counts.get(key) || 0
+  }
+
+  // Reserves a connection under every key of `limits`, unless one of them already reached its limit, which is
+  // returned instead
+  acquire (limits) {
+    const exceeded = limits.find(limit => this.count(limit.key) >= limit.max)
+    if (exceeded) {
+      return exceeded
+    }
+    for (const limit of limits) {
+      this.counts.set(limit.key, this.count(limit.key) + 1)
+    }
+    return null
+  }
+
+  release (limits) {
+    for (const limit of limits) {
+      const count = this.count(limit.key) - 1
+      if (count > 0) {
+        this.counts.set(limit.key, count)
+      } else {
+        this.counts.delete(limit.key)
+      }
+    }
+  }
+}
+
+function connectionLimitOptions (maxConnections, isRoute) {
+  if (maxConnections === undefined || maxConnections === false) {
+    return null
+  }
+  if (maxConnections === null || typeof maxConnections !== 'object' ||
+    (maxConnections.global !== undefined && (isRoute || !isCount(maxConnections.global))) ||
+    (maxConnections.route !== undefined && !isCount(maxConnections.route)) ||
+    (maxConnections.client !== undefined && !isCount(maxConnections.client)) ||
+    (maxConnections.key !== undefined && typeof maxConnections.key !== 'function') ||
+    (maxConnections.retryAfter !== undefined && !isCount(maxConnections.retryAfter))) {
+    throw new Error('invalid maxConnections option')
+  }
+  return {
+    global: maxConnections.global,
+    route: maxConnections.route,
+    client: maxConnections.client,
+    key: maxConnections.key || (request => request.ip),
+    retryAfter: maxConnections.retryAfter || 5
+  }
+}
+
+function isCount (value) {
+  return Number.isInteger(value) && value > 0
+}
+
+module.exports = {
+  ConnectionCounts,
+  connectionLimitOptions
+}
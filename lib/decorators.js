@@ -0,0 +1,68 @@
+'use strict'
+
+const { Duplex } = require('stream')
+
+const kConnectionDecorators = Symbol('connection-decorators')
+
+// The properties the plugin sets on every connection
+const connectionProperties = ['socket', 'id', 'log', 'join', 'leave', 'topics', 'messages', 'send', 'call', 'notify',
+  'session', 'resumed', 'codec', 'latency']
+
+// Adds a decorator to the ones of an encapsulation context. Its value is either copied to every connection,
+// defined from `{ getter, setter }`, or computed for every connection by `{ init(connection, request) }`.
+function addConnectionDecorator (decorators, name, value, dependencies = []) {
+  if (typeof name !== 'string' && typeof name !== 'symbol') {
+    throw new Error('invalid connection decorator name')
+  }
+  const label = String(name)
+  if (decorators.has(name) || name in Duplex.prototype || connectionProperties.includes(name)) {
+    throw new Error(`connection decorator ${label} is already present`)
+  }
+  if (!Array.isArray(dependencies)) {
+    throw new Error('invalid connection decorator dependencies')
+  }
+  for (const dependency of dependencies) {
+    if (!decorators.has(dependency)) {
+      throw new Error(`connection decorator ${label} is missing dependency ${String(dependency)}`)
+    }
+  }
+
+  let decorator
+  if (value !== null && typeof value === 'object') {
+    if (typeof value.init === 'function') {
+      decorator = { init: value.init }
+    } else if (typeof value.getter === 'function' || typeof value.setter === 'function') {
+      decorator = { getter: value.getter, setter: value.setter }
+    } else {
+      // a single object would be shared by all the connections
+      throw new Error(`connection decorator ${label} is a reference type, use { init } or { getter, setter } instead`)
+    }
+  } else {
+    decorator = { value }
+  }
+  decorators.set(name, decorator)
+}
+
+// Decorates a connection with the decorators of the context of its route, in the order they were added
+function decorateConnection (connection, decorators, context, request) {
+  for (const [name, decorator] of decorators) {
+    if (decorator.init) {
+      connection[name] = decorator.init.call(context, connection, request)
+    } else if ('value' in decorator) {
+      connection[name] = decorator.value
+    } else {
+      Object.defineProperty(connection, name, {
+        get: decorator.getter,
+        set: decorator.setter,
+        configurable: true,
+        enumerable: true
+      })
+    }
+  }
+}
+
+module.exports = {
+  kConnectionDecorators,
+  addConnectionDecorator,
+  decorateConnection
+}
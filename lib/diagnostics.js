@@ -0,0 +1,63 @@
+'use strict'
+
+const dc = require('diagnostics_channel')
+
+const channels = {}
+for (const name of ['upgrade', 'connection', 'message', 'send', 'close', 'error']) {
+  channels[name] = dc.channel(`fastify.websocket.${name}`)
+}
+
+// TracingChannel is only available since Node.js 18.19 and 19.9, the handlers are not traced on older versions
+const handlerChannel = dc.tracingChannel && dc.tracingChannel('fastify.websocket.handler')
+const handlerEvents = ['start', 'end', 'asyncStart', 'asyncEnd', 'error']
+
+// Publishes an event of a handshake or a connection, the message is only built when the channel has subscribers.
+// It carries the `request`, `reply`, `route` options and `connection` of the context, along with the `elapsedTime`
+// in milliseconds since the handshake was received.
+function publish (name, context, fields) {
+  const channel = channels[name]
+  if (channel.hasSubscribers) {
+    channel.publish(Object.assign({}, context, { elapsedTime: context.reply.elapsedTime }, fields))
+  }
+}
+
+// Calls the handler with the semantics of TracingChannel.traceSync(), followed by those of tracePromise() when it
+// returns a promise, so that the spans of async handlers end once they settle
+function traceHandler (context, handler, thisArg, args) {
+  if (!handlerChannel || !handlerEvents.some(event => handlerChannel[event].hasSubscribers)) {
+    return handler.apply(thisArg, args)
+  }
+
+  const message = Object.assign({}, context)
+  const { start, end, asyncStart, asyncEnd, error } = handlerChannel
+  return start.runStores(message, () => {
+    try {
+      const result = handler.apply(thisArg, args)
+      message.result = result
+      if (result && typeof result.then === 'function') {
+        result.then(value => {
+          message.result = value
+          asyncStart.publish(message)
+          asyncEnd.publish(message)
+        }, err => {
+          message.error = err
+          error.publish(message)
+          asyncStart.publish(message)
+          asyncEnd.publish(message)
+        })
+      }
+      return result
+    } catch (err) {
+      message.error = err
+      error.publish(message)
+      throw err
+    } finally {
+      end.publish(message)
+    }
+  })
+}
+
+module.exports = {
+  publish,
+  traceHandler
+}
@@ -0,0 +1,35 @@
+'use strict'
+
+const { validateHeaderName, validateHeaderValue } = require('http')
+
+// Managed by ws or meaningless on a 101 response
+const handshakeOnlyHeaders = [
+  'connection',
+  'upgrade',
+  'keep-alive',
+  'content-length',
+  'content-type',
+  'transfer-encoding',
+  'sec-websocket-accept',
+  'sec-websocket-protocol',
+  'sec-websocket-extensions'
+]
+
+// Formats the headers of a reply as lines of the handshake response, one per value so that every cookie is kept.
+// Throws on invalid names or values, before anything is written to the socket.
+function handshakeHeaders (headers) {
+  const lines = []
+  for (const name of Object.keys(headers)) {
+    if (handshakeOnlyHeaders.includes(name.toLowerCase())) {
+      continue
+    }
+    validateHeaderName(name)
+    for (const value of [].concat(headers[name])) {
+      validateHeaderValue(name, value)
+      lines.push(`${name}: ${value}`)
+    }
+  }
+  return lines
+}
+
+module.exports = handshakeHeaders
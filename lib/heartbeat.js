@@ -0,0 +1,93 @@
+'use strict'
+
+const WebSocket = require('ws')
+
+// Pings the connections every `interval` milliseconds and terminates the ones that do not answer with a pong
+// within `timeout` milliseconds, which detects the half-open connections TCP alone would keep forever.
+class Heartbeats {
+  constructor () {
+    this.stops = new Set()
+  }
+
+  start (connection, options) {
+    const socket = connection.socket
+    let pingedAt = null
+    let deadline = null
+
+    // round-trip time of the last ping in milliseconds, null until the first pong is received
+    connection.latency = null
+
+    const onPong = () => {
+      // ignore unsolicited pongs
+      if (pingedAt === null) {
+        return
+      }
+      connection.latency = Date.now() - pingedAt
+      pingedAt = null
+      clearTimeout(deadline)
+    }
+
+    // the pongs are not read while the socket is paused, by a full message buffer for instance, so the connections
+    // are only pinged, and terminated for not answering, while it is read
+    const expire = () => {
+      if (socket.isPaused) {
+        pingedAt = null
+        return
+      }
+      socket.terminate()
+    }
+
+    const ping = () => {
+      if (pingedAt !== null || socket.readyState !== WebSocket.OPEN || socket.isPaused) {
+        return
+      }
+      pingedAt = Date.now()
+      deadline = setTimeout(expire, options.timeout)
+      socket.ping()
+    }
+
+    const timer = setInterval(ping, options.interval)
+
+    const stop = () => {
+      clearInterval(timer)
+      clearTimeout(deadline)
+      socket.removeListener('pong', onPong)
+      socket.removeListener('close', stop)
+      this.stops.delete(stop)
+    }
+
+    socket.on('pong', onPong)
+    socket.once('close', stop)
+    this.stops.add(stop)
+  }
+
+  stopAll () {
+    for (const stop of this.stops) {
+      stop()
+    }
+  }
+}
+
+// Returns the heartbeat options with their defaults, or null when the heartbeat is disabled
+function heartbeatOptions (heartbeat) {
+  if (heartbeat === undefined || heartbeat === false) {
+    return null
+  }
+  if (heartbeat === null || typeof heartbeat !== 'object' || !isDuration(heartbeat.interval) ||
+    (heartbeat.timeout !== undefined && !isDuration(heartbeat.timeout))) {
+    throw new Error('invalid heartbeat option')
+  }
+  return {
+    interval: heartbeat.interval,
+    timeout: heartbeat.timeout === undefined ? heartbeat.interval : heartbeat.timeout
+  }
+}
+
+function isDuration (value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0
+}
+
+module.exports = {
+  Heartbeats,
+  heartbeatOptions
+}
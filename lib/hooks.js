@@ -0,0 +1,47 @@
+'use strict'
+
+const wsHookNames = ['onWsConnect', 'onWsMessage', 'onWsClose', 'onWsError']
+
+const kWsHooks = Symbol('ws-hooks')
+
+// The hooks of an encapsulation context, starting with a copy of the ones of its parent
+function createHooks (parent) {
+  const hooks = {}
+  for (const name of wsHookNames) {
+    hooks[name] = parent ? parent[name].slice() : []
+  }
+  return hooks
+}
+
+// Runs the hooks one after the other, waiting for the ones returning a promise
+function runHooks (hooks, context, args) {
+  let promise = Promise.resolve()
+  for (const hook of hooks) {
+    promise = promise.then(() => hook.apply(context, args))
+  }
+  return promise
+}
+
+// Runs the onWsMessage hooks in order. Each of them can return a new message to replace it, null to drop it,
+// or nothing to leave it unchanged. Resolves with the resulting message, or null if it was dropped.
+function runMessageHooks (hooks, context, connection, message, request) {
+  let promise = Promise.resolve(message)
+  for (const hook of hooks) {
+    promise = promise.then(message => {
+      if (message === null) {
+        return null
+      }
+      return Promise.resolve(hook.call(context, connection, message, request))
+        .then(value => value === undefined ? message : value)
+    })
+  }
+  return promise
+}
+
+module.exports = {
+  wsHookNames,
+  kWsHooks,
+  createHooks,
+  runHooks,
+  runMessageHooks
+}
@@ -0,0 +1,102 @@
+'use strict'
+
+const { Duplex } = require('stream')
+const querystring = require('querystring')
+const WebSocket = require('ws')
+
+const kPeer = Symbol('peer')
+
+// A minimal in-memory stand-in for a net.Socket. Everything written on one
+// side is readable on the other one, so both the http.Server parser and the
+// ws client can work on top of it as they would on a TCP connection.
+class InjectedSocket extends Duplex {
+  constructor (remoteAddress) {
+    super()
+    this.remoteAddress = remoteAddress
+    this.remotePort = 0
+    this.encrypted = false
+    this[kPeer] = null
+  }
+
+  _read () {}
+
+  // Data is handed to the peer asynchronously, as a real socket would, so
+  // a write never re-enters the code that issued it
+  _write (chunk, encoding, callback) {
+    setImmediate(deliver, this[kPeer], chunk)
+    callback()
+  }
+
+  _final (callback) {
+    setImmediate(deliver, this[kPeer], null)
+    callback()
+  }
+
+  _destroy (error, callback) {
+    setImmediate(deliver, this[kPeer], null)
+    callback(error)
+  }
+
+  setTimeout () { return this }
+  setNoDelay () { return this }
+}
+
+function deliver (socket, chunk) {
+  if (!socket.destroyed && !socket._readableState.ended) {
+    socket.push(chunk)
+  }
+}
+
+function createSocketPair () {
+  const client = new InjectedSocket('127.0.0.1')
+  const server = new InjectedSocket('127.0.0.1')
+  client[kPeer] = server
+  server[kPeer] = client
+  return { client, server }
+}
+
+function injectWS (server, path = '/', upgradeContext = {}) {
+  const { headers, query } = upgradeContext
+  let url = path
+  if (query) {
+    const search = typeof query === 'string' ? query : querystring.stringify(query)
+    if (search) {
+      url += (url.includes('?') ? '&' : '?') + search
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const { client, server: serverSocket } = createSocketPair()
+
+    const ws = new WebSocket('ws://localhost' + url, upgradeContext.protocols, {
+      headers,
+      createConnection: () => client
+    })
+
+    ws.once('open', () => {
+      ws.removeListener('error', reject)
+      resolve(ws)
+    })
+    ws.on('error', reject)
+
+    // When the handshake is rejected we surface the HTTP response, in the same
+    // shape fastify.inject() uses, instead of a bare ws error
+    ws.once('unexpected-response', (req, res) => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.once('end', () => {
+        const payload = Buffer.concat(chunks).toString()
+        const error = new Error('Unexpected server response: ' + res.statusCode)
+        error.statusCode = res.statusCode
+        error.headers = res.headers
+        error.payload = payload
+        req.destroy()
+        reject(error)
+      })
+    })
+
+    server.emit('connection', serverSocket)
+  })
+}
+
+module.exports = injectWS
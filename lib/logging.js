@@ -0,0 +1,29 @@
+'use strict'
+
+const levels = ['trace', 'debug', 'info', 'warn', 'error', 'fatal']
+
+// The levels the opening and the closing of the connections are logged at, `false` when they are not logged
+function logConnectionsOptions (logConnections) {
+  if (logConnections === undefined || logConnections === false) {
+    return { connect: false, close: false }
+  }
+  if (logConnections === true) {
+    return { connect: 'info', close: 'info' }
+  }
+  if (logConnections === null || typeof logConnections !== 'object') {
+    throw new Error('invalid logConnections option')
+  }
+  const options = Object.assign({ connect: 'info', close: 'info' }, logConnections)
+  if (!isLevel(options.connect) || !isLevel(options.close)) {
+    throw new Error('invalid logConnections option')
+  }
+  return options
+}
+
+function isLevel (level) {
+  return level === false || levels.includes(level)
+}
+
+module.exports = {
+  logConnectionsOptions
+}
@@ -0,0 +1,243 @@
+'use strict'
+
+const { kEncode } = require('./codecs')
+
+const invalidMessageActions = ['close', 'send', 'errorHandler']
+
+const messageFormats = ['binary', 'text', 'json']
+
+// Runs every frame received on the socket through `onMessage(data, isBinary)` before it reaches the 'message'
+// listeners and the connection stream. Frames for which it returns undefined are dropped, otherwise the
+// returned value is what they receive instead of the raw frame. `onMessage` can also return a promise of
+// that value, the frames received in the meantime wait for it so that they are all delivered in order. Unless
+// `toStream` is set, they are only delivered to the 'message' listeners. A rejected promise drops its frame and is
+// passed to `onError`, without holding back the following ones.
+function interceptMessages (connection, onMessage, toStream, onError) {
+  const socket = connection.socket
+  // createWebSocketStream registers the first 'message' listener, the one feeding the connection stream. It would turn
+  // the text frames into strings in object mode, the values are pushed to the stream as they are instead.
+  socket.removeListener('message', socket.listeners('message')[0])
+
+  const emit = socket.emit
+  const deliver = function (value, isBinary) {
+    if (value === undefined) {
+      return false
+    }
+
+    // A null chunk would end the stream. The stream resumes the socket once it is read again.
+    if (value !== null && toStream && !connection.push(value)) {
+      socket.pause()
+    }
+    return emit.call(socket, 'message', value, isBinary)
+  }
+
+  let queue = null
+  const enqueue = function (promise, isBinary) {
+    const current = queue = promise.then(value => deliver(value, isBinary)).catch(onError).then(() => {
+      if (queue === current) {
+        queue = null
+      }
+    })
+  }
+
+  socket.emit = function (event, data, isBinary) {
+    if (event !== 'message') {
+      return emit.apply(this, arguments)
+    }
+
+    if (queue) {
+      enqueue(queue.then(() => onMessage(data, isBinary)), isBinary)
+      return true
+    }
+
+    const value = onMessage(data, isBinary)
+    if (value && typeof value.then === 'function') {
+      enqueue(value, isBinary)
+      return true
+    }
+    return deliver(value, isBinary)
+  }
+}
+
+// Calls `onMessage(data, isBinary)` for every frame received on the socket. When called once the messages are
+// intercepted, it sees the frames before they are decoded or dropped.
+function observeIncoming (connection, onMessage) {
+  const socket = connection.socket
+  const emit = socket.emit
+  socket.emit = function (event, data, isBinary) {
+    if (event === 'message') {
+      onMessage(data, isBinary)
+    }
+    return emit.apply(this, arguments)
+  }
+}
+
+// Calls `onSend(data)` for every frame sent on the socket. When called before the messages are encoded, it sees
+// the frames once serialized.
+function observeOutgoing (connection, onSend) {
+  const socket = connection.socket
+  const send = socket.send
+  socket.send = function (data, options, cb) {
+    onSend(data)
+    return send.call(this, data, options, cb)
+  }
+}
+
+// Returns the function decoding the incoming frames according to `messageFormat`, or null when they are
+// delivered as they are. In json format every frame is parsed, with `parse` when given, and, when `validate` is
+// given, checked with it. `onInvalid(error)` is called for the frames that cannot be parsed or do not match the schema.
+function messageDecoder (connection, messageFormat, validate, onInvalid, parse = JSON.parse) {
+  if (messageFormat === 'text') {
+    connection.setEncoding('utf8')
+    return data => data.toString()
+  } else if (messageFormat === 'json') {
+    return (data) => {
+      let message
+      try {
+        message = parse(data)
+      } catch (err) {
+        onInvalid(invalidMessageError(err.message, 1007))
+        return
+      }
+
+      if (validate && !validate(message)) {
+        onInvalid(validationError(validate.errors, 'message'))
+        return
+      }
+
+      return message
+    }
+  }
+  return null
+}
+
+// Maps each type of the `messages` option of a route to its handler and its optional schema
+function messageTypesOptions (messages) {
+  if (messages === null || typeof messages !== 'object' || Object.keys(messages).length === 0) {
+    throw new Error('invalid messages option')
+  }
+  const types = new Map()
+  for (const type of Object.keys(messages)) {
+    const entry = typeof messages[type] === 'function' ? { handler: messages[type] } : messages[type]
+    if (entry === null || typeof entry !== 'object' || typeof entry.handler !== 'function') {
+      throw new Error('invalid messages option')
+    }
+    types.set(type, { handler: entry.handler, schema: entry.schema })
+  }
+  return types
+}
+
+// Returns the function resolving the handler of the decoded messages, from the value of their `typeKey` field. The
+// messages of an unknown type are handled by `onUnknown` when given, and the invalid ones are passed to
+// `onInvalid(error)`, undefined being returned for both.
+function messageTypeResolver (types, typeKey, compile, onUnknown, onInvalid) {
+  const validators = new Map()
+  for (const [type, { schema }] of types) {
+    if (schema) {
+      validators.set(type, compile(schema))
+    }
+  }
+
+  return (message) => {
+    const type = message !== null && typeof message === 'object' ? message[typeKey] : undefined
+    const entry = types.get(type)
+    if (entry === undefined) {
+      if (onUnknown) {
+        return onUnknown
+      }
+      onInvalid(invalidMessageError('unknown message type', 1008))
+      return
+    }
+
+    const validate = validators.get(type)
+    if (validate && !validate(message)) {
+      onInvalid(validationError(validate.errors, 'message'))
+      return
+    }
+    return entry.handler
+  }
+}
+
+// Serializes to JSON, or with `stringify` when given, the values written on the connection or sent with
+// `connection.socket.send()`, validating them first with `validate` when given. Strings and buffers are considered
+// already serialized and sent as they are. Returns the serializing function.
+function encodeMessages (connection, validate, stringify = JSON.stringify) {
+  const serialize = function (data) {
+    if (validate && !validate(data)) {
+      throw validationError(validate.errors, 'outgoing')
+    }
+    return stringify(data)
+  }
+
+  const socket = connection.socket
+  const send = socket.send
+  socket.send = function (data, options, cb) {
+    return send.call(this, isPlainData(data) ? data : serialize(data), options, cb)
+  }
+
+  const write = connection.write
+  connection.write = function (chunk, encoding, cb) {
+    return write.call(this, isPlainData(chunk) ? chunk : serialize(chunk), encoding, cb)
+  }
+
+  const end = connection.end
+  connection.end = function (chunk, encoding, cb) {
+    if (chunk === undefined || chunk === null || typeof chunk === 'function' || isPlainData(chunk)) {
+      return end.apply(this, arguments)
+    }
+    return end.call(this, serialize(chunk), encoding, cb)
+  }
+  return serialize
+}
+
+function invalidMessageHandler (action, errorHandler) {
+  if (typeof action === 'function') {
+    return action
+  }
+
+  switch (action) {
+    case 'send':
+      return function (error, connection) {
+        connection.socket.send(connection[kEncode]({ error: 'Invalid message', message: error.message }))
+      }
+    case 'errorHandler':
+      return errorHandler
+    default:
+      return function (error, connection, request) {
+        request.log.debug({ err: error }, 'closing websocket connection after an invalid message')
+        connection.socket.close(error.closeCode, 'Invalid message')
+      }
+  }
+}
+
+function validationError (errors, context) {
+  const message = errors.map(error => context + error.instancePath + ' ' + error.message).join(', ')
+  const error = invalidMessageError(message, 1008)
+  error.validation = errors
+  error.validationContext = context
+  return error
+}
+
+function invalidMessageError (message, closeCode) {
+  const error = new Error(message)
+  error.statusCode = 400
+  error.closeCode = closeCode
+  return error
+}
+
+function isPlainData (data) {
+  return typeof data === 'string' || ArrayBuffer.isView(data) || data instanceof ArrayBuffer
+}
+
+module.exports = {
+  invalidMessageActions,
+  messageFormats,
+  interceptMessages,
+  observeIncoming,
+  observeOutgoing,
+  messageDecoder,
+  messageTypesOptions,
+  messageTypeResolver,
+  encodeMessages,
+  invalidMessageHandler
+}
@@ -0,0 +1,125 @@
+'use strict'
+
+// Counters and gauges of the websocket routes, of the handshakes and of the close codes
+class Metrics {
+  constructor () {
+    this.routes = new Map()
+    this.accepted = 0
+    this.rejected = new Map()
+    this.closeCodes = new Map()
+  }
+
+  route (url) {
+    let stats = this.routes.get(url)
+    if (stats === undefined) {
+      stats = { connections: 0, messages: { in: 0, out: 0 }, bytes: { in: 0, out: 0 }, errors: 0 }
+      this.routes.set(url, stats)
+    }
+    return stats
+  }
+
+  // Counts an upgraded connection, returning the stats of its route
+  accept (url) {
+    const stats = this.route(url)
+    this.accepted++
+    stats.connections++
+    return stats
+  }
+
+  close (stats, code) {
+    stats.connections--
+    increment(this.closeCodes, code)
+  }
+
+  receive (stats, data) {
+    stats.messages.in++
+    stats.bytes.in += byteLength(data)
+  }
+
+  send (stats, data) {
+    stats.messages.out++
+    stats.bytes.out += byteLength(data)
+  }
+
+  reject (reason) {
+    increment(this.rejected, String(reason))
+  }
+
+  snapshot () {
+    const routes = {}
+    for (const [url, stats] of this.routes) {
+      routes[url] = {
+        connections: stats.connections,
+        messages: Object.assign({}, stats.messages),
+        bytes: Object.assign({}, stats.bytes),
+        errors: stats.errors
+      }
+    }
+    return {
+      routes,
+      handshakes: { accepted: this.accepted, rejected: Object.fromEntries(this.rejected) },
+      closeCodes: Object.fromEntries(this.closeCodes)
+    }
+  }
+
+  // The metrics in the Prometheus text exposition format
+  prometheus (prefix) {
+    const lines = []
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${prefix}${name} ${help}`, `# TYPE ${prefix}${name} ${type}`)
+      for (const [labels, value] of samples) {
+        lines.push(`${prefix}${name}${formatLabels(labels)} ${value}`)
+      }
+    }
+    const routes = Array.from(this.routes)
+    const directions = ['in', 'out']
+
+    metric('connections', 'gauge', 'Websocket connections currently open.',
+      routes.map(([route, stats]) => [{ route }, stats.connections]))
+    metric('handshakes_total', 'counter', 'Websocket handshakes, by result and rejection reason.',
+      [[{ result: 'accepted' }, this.accepted]].concat(Array.from(this.rejected, ([reason, count]) => [{ result: 'rejected', reason }, count])))
+    metric('messages_total', 'counter', 'Websocket messages received and sent.',
+      routes.flatMap(([route, stats]) => directions.map(direction => [{ route, direction }, stats.messages[direction]])))
+    metric('bytes_total', 'counter', 'Websocket message bytes received and sent.',
+      routes.flatMap(([route, stats]) => directions.map(direction => [{ route, direction }, stats.bytes[direction]])))
+    metric('closes_total', 'counter', 'Websocket connections closed, by close code.',
+      Array.from(this.closeCodes, ([code, count]) => [{ code }, count]))
+    metric('errors_total', 'counter', 'Errors of the websocket handlers.',
+      routes.map(([route, stats]) => [{ route }, stats.errors]))
+
+    return lines.join('\n') + '\n'
+  }
+}
+
+function increment (counts, key) {
+  counts.set(key, (counts.get(key) || 0) + 1)
+}
+
+function byteLength (data) {
+  return Buffer.byteLength(ArrayBuffer.isView(data) || data instanceof ArrayBuffer ? data : String(data))
+}
+
+function formatLabels (labels) {
+  const pairs = Object.keys(labels).map(name => {
+    const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+    return `${name}="${value}"`
+  })
+  return `{${pairs.join(',')}}`
+}
+
+function metricsOptions (metrics) {
+  if (metrics !== undefined && (metrics === null || typeof metrics !== 'object')) {
+    throw new Error('invalid metrics option')
+  }
+  const options = Object.assign({ url: undefined, prefix: 'websocket_' }, metrics)
+  if ((options.url !== undefined && (typeof options.url !== 'string' || !options.url.startsWith('/'))) ||
+    typeof options.prefix !== 'string' || !/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(options.prefix)) {
+    throw new Error('invalid metrics option')
+  }
+  return options
+}
+
+module.exports = {
+  Metrics,
+  metricsOptions
+}
@@ -0,0 +1,64 @@
+'use strict'
+
+const { parseProtocols } = require('./protocols')
+
+// Turns the allowedOrigins option into a function telling whether the Origin header of a handshake is allowed.
+// Strings are compared exactly, and the handshakes without an Origin header, never sent by browsers, are only
+// checked by functions.
+function originMatcher (allowedOrigins) {
+  if (allowedOrigins === undefined) {
+    return null
+  }
+  if (typeof allowedOrigins === 'function') {
+    return allowedOrigins
+  }
+
+  const origins = [].concat(allowedOrigins)
+  if (origins.length === 0 || !origins.every(origin => typeof origin === 'string' || origin instanceof RegExp)) {
+    throw new Error('invalid allowedOrigins option')
+  }
+  return function (origin) {
+    return origin === undefined || origins.some(allowed => typeof allowed === 'string' ? allowed === origin : allowed.test(origin))
+  }
+}
+
+function csrfOptions (csrf) {
+  if (csrf === undefined || csrf === false) {
+    return null
+  }
+  if (csrf === null || typeof csrf !== 'object' || typeof csrf.verify !== 'function' ||
+    !isSource(csrf.query) || !isSource(csrf.protocolPrefix)) {
+    throw new Error('invalid csrf option')
+  }
+  return {
+    verify: csrf.verify,
+    query: csrf.query === undefined ? 'csrf_token' : csrf.query,
+    protocolPrefix: csrf.protocolPrefix === undefined ? 'csrf-token.' : csrf.protocolPrefix
+  }
+}
+
+function isSource (source) {
+  return source === undefined || source === false || (typeof source === 'string' && source.length > 0)
+}
+
+// The token of a handshake, taken from the query string or from an offered subprotocol carrying it after the prefix,
+// since browsers cannot set headers on websocket handshakes
+function csrfToken (csrf, request) {
+  if (csrf.query && typeof request.query[csrf.query] === 'string') {
+    return request.query[csrf.query]
+  }
+  if (csrf.protocolPrefix) {
+    const protocol = parseProtocols(request.headers['sec-websocket-protocol'] || '')
+      .find(protocol => protocol.startsWith(csrf.protocolPrefix))
+    if (protocol) {
+      return protocol.slice(csrf.protocolPrefix.length)
+    }
+  }
+  return undefined
+}
+
+module.exports = {
+  originMatcher,
+  csrfOptions,
+  csrfToken
+}
@@ -0,0 +1,77 @@
+'use strict'
+
+// Routes websocket upgrades according to the subprotocols offered in the Sec-WebSocket-Protocol header. Only the
+// upgrade requests derive a value, an empty string when no subprotocol is offered, so the plain HTTP requests never
+// reach the routes declaring protocols.
+const protocolConstraint = {
+  name: 'wsProtocol',
+  mustMatchWhenDerived: false,
+  storage () {
+    // the protocols of the routes, mapped to the bitmask of their handlers
+    const routes = new Map()
+    return {
+      get (value) {
+        if (typeof value !== 'string') {
+          return routes.get(value)
+        }
+
+        // the first subprotocol offered by the client that a route accepts wins
+        for (const protocol of parseProtocols(value)) {
+          let mask = 0
+          for (const [protocols, routeMask] of routes) {
+            if (protocols.includes(protocol)) {
+              mask |= routeMask
+            }
+          }
+          if (mask !== 0) {
+            return mask
+          }
+        }
+
+        // none of the routes accepts the offered subprotocols. The router sorts the handlers of a path by their number
+        // of constraints, so the first one is not constrained by the subprotocols when such a route exists: it is left
+        // to serve the upgrade. Otherwise one of the routes declaring protocols rejects it.
+        let mask = 0
+        for (const routeMask of routes.values()) {
+          mask |= routeMask
+        }
+        return (mask & 1) === 0 ? 0 : mask
+      },
+      set (protocols, mask) {
+        routes.set(protocols, mask)
+      }
+    }
+  },
+  deriveConstraint (req) {
+    if (typeof req.headers.upgrade !== 'string' || req.headers.upgrade.toLowerCase() !== 'websocket') {
+      return undefined
+    }
+    return req.headers['sec-websocket-protocol'] || ''
+  }
+}
+
+function isProtocolList (protocols) {
+  return Array.isArray(protocols) && protocols.length > 0 &&
+    protocols.every(protocol => typeof protocol === 'string' && protocol.length > 0)
+}
+
+function parseProtocols (header) {
+  return header.split(',').map(protocol => protocol.trim()).filter(protocol => protocol.length > 0)
+}
+
+// The first of the `offered` subprotocols, in the order of preference of the client, included in `protocols`
+function selectProtocol (offered, protocols) {
+  for (const protocol of offered) {
+    if (protocols.includes(protocol)) {
+      return protocol
+    }
+  }
+  return false
+}
+
+module.exports = {
+  protocolConstraint,
+  isProtocolList,
+  parseProtocols,
+  selectProtocol
+}
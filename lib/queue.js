@@ -0,0 +1,85 @@
+'use strict'
+
+// The messages of a connection, buffered from the upgrade until the handler iterates over them with
+// `connection.messages()`. The socket stops being read while `limit` messages are waiting.
+class MessageQueue {
+  constructor (socket, limit) {
+    this.socket = socket
+    this.limit = limit
+    this.messages = []
+    this.readers = []
+    this.paused = false
+    this.done = false
+
+    socket.on('message', message => this.push(message))
+    socket.once('close', () => this.end())
+  }
+
+  push (message) {
+    if (this.readers.length > 0) {
+      this.readers.shift().resolve({ value: message, done: false })
+      return
+    }
+    this.messages.push(message)
+    if (!this.paused && this.messages.length >= this.limit) {
+      this.paused = true
+      this.socket.pause()
+    }
+  }
+
+  next () {
+    if (this.messages.length > 0) {
+      const value = this.messages.shift()
+      if (this.paused && this.messages.length < this.limit) {
+        this.paused = false
+        this.socket.resume()
+      }
+      return Promise.resolve({ value, done: false })
+    }
+    if (this.done) {
+      return Promise.resolve({ value: undefined, done: true })
+    }
+    return new Promise(resolve => this.readers.push({ resolve }))
+  }
+
+  end () {
+    this.done = true
+    for (const reader of this.readers.splice(0)) {
+      reader.resolve({ value: undefined, done: true })
+    }
+  }
+
+  // Leaving a loop early only ends its iterator, the following messages are kept for the next one
+  iterator () {
+    let finished = false
+    return {
+      next: () => finished ? Promise.resolve({ value: undefined, done: true }) : this.next(),
+      return: value => {
+        finished = true
+        return Promise.resolve({ value, done: true })
+      },
+      [Symbol.asyncIterator] () {
+        return this
+      }
+    }
+  }
+}
+
+function messageBufferOptions (messageBuffer) {
+  if (messageBuffer === undefined || messageBuffer === false) {
+    return null
+  }
+  if (messageBuffer === true) {
+    return { limit: 100 }
+  }
+  if (messageBuffer === null || typeof messageBuffer !== 'object' ||
+    (messageBuffer.limit !== undefined && !(Number.isInteger(messageBuffer.limit) && messageBuffer.limit > 0))) {
+    throw new Error('invalid messageBuffer option')
+  }
+  return { limit: messageBuffer.limit || 100 }
+}
+
+module.exports = {
+  MessageQueue,
+  messageBufferOptions
+}
@@ -0,0 +1,186 @@
+'use strict'
+
+const { randomBytes } = require('crypto')
+const { kEncode } = require('./codecs')
+
+const rateLimitActions = ['drop', 'send', 'close']
+const rateLimitScopes = ['connection', 'ip']
+const rateLimitUnits = ['messages', 'bytes']
+
+// Token buckets held in memory. A bucket holds up to `limit` tokens and is refilled with `limit` tokens every
+// `interval` milliseconds, so the buckets untouched for a whole interval are full again and can be forgotten.
+class MemoryRateLimitStore {
+  constructor (opts) {
+    this.pruneInterval = (opts && opts.pruneInterval) || 60000
+    this.buckets = new Map()
+    this.timer = null
+  }
+
+  consume (key, cost, limit, interval) {
+    const now = Date.now()
+    let bucket = this.buckets.get(key)
+    if (bucket === undefined) {
+      bucket = { tokens: limit, updated: now, interval }
+      this.buckets.set(key, bucket)
+      this.schedulePrune()
+    } else {
+      bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updated) * limit / interval)
+      bucket.updated = now
+    }
+
+    if (bucket.tokens < cost) {
+      return false
+    }
+    bucket.tokens -= cost
+    return true
+  }
+
+  schedulePrune () {
+    if (this.timer === null) {
+      this.timer = setInterval(() => this.prune(), this.pruneInterval)
+      this.timer.unref()
+    }
+  }
+
+  prune () {
+    const now = Date.now()
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updated >= bucket.interval) {
+        this.buckets.delete(key)
+      }
+    }
+    if (this.buckets.size === 0) {
+      this.close()
+    }
+  }
+
+  close () {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+}
+
+function rateLimitOptions (rateLimit) {
+  if (rateLimit === undefined || rateLimit === false) {
+    return null
+  }
+  if (rateLimit === null || typeof rateLimit !== 'object' ||
+    (rateLimit.interval !== undefined && !isPositive(rateLimit.interval)) ||
+    (rateLimit.action !== undefined && typeof rateLimit.action !== 'function' && !rateLimitActions.includes(rateLimit.action)) ||
+    (rateLimit.store !== undefined && !isRateLimitStore(rateLimit.store))) {
+    throw new Error('invalid rateLimit option')
+  }
+
+  const buckets = []
+  for (const scope of rateLimitScopes) {
+    const limits = rateLimit[scope]
+    if (limits === undefined) {
+      continue
+    }
+    if (limits === null || typeof limits !== 'object') {
+      throw new Error('invalid rateLimit option')
+    }
+    for (const unit of rateLimitUnits) {
+      if (limits[unit] === undefined) {
+        continue
+      }
+      if (!isPositive(limits[unit])) {
+        throw new Error('invalid rateLimit option')
+      }
+      buckets.push({ scope, unit, limit: limits[unit] })
+    }
+  }
+  if (buckets.length === 0) {
+    throw new Error('invalid rateLimit option')
+  }
+
+  return {
+    buckets,
+    interval: rateLimit.interval || 1000,
+    action: rateLimit.action || 'drop',
+    store: rateLimit.store
+  }
+}
+
+// Returns the function creating the limiter of each connection. The limiter consumes the tokens of a frame and
+// returns the bucket it exceeded, or null, or a promise of them when the store is asynchronous. `prefix` keeps the
+// buckets of routes with their own limits apart from the others. The frames are let through when the store fails.
+function rateLimiter (options, store, prefix) {
+  return function (connection, request) {
+    const keys = {
+      connection: `${prefix}connection|${randomBytes(8).toString('hex')}|`,
+      ip: `${prefix}ip|${request.ip}|`
+    }
+    const storeFailed = err => {
+      connection.log.error({ err }, 'rate limit store failed, letting the websocket message through')
+      return null
+    }
+
+    return function (data) {
+      const size = data.byteLength
+      let async = false
+      let results
+      try {
+        results = options.buckets.map(bucket => {
+          const result = store.consume(keys[bucket.scope] + bucket.unit, bucket.unit === 'bytes' ? size : 1, bucket.limit, options.interval)
+          async = async || (result !== null && typeof result === 'object' && typeof result.then === 'function')
+          return result
+        })
+      } catch (err) {
+        return storeFailed(err)
+      }
+
+      const exceeded = allowed => {
+        const index = allowed.indexOf(false)
+        return index === -1 ? null : options.buckets[index]
+      }
+      return async ? Promise.all(results).then(exceeded, storeFailed) : exceeded(results)
+    }
+  }
+}
+
+function rateLimitHandler (action) {
+  if (typeof action === 'function') {
+    return action
+  }
+
+  switch (action) {
+    case 'send':
+      return function (error, connection) {
+        connection.socket.send(connection[kEncode]({ error: 'Rate limit exceeded', message: error.message }))
+      }
+    case 'close':
+      return function (error, connection, request) {
+        request.log.debug({ err: error }, 'closing websocket connection after exceeding the rate limit')
+        connection.socket.close(error.closeCode, 'Rate limit exceeded')
+      }
+    default:
+      return function (error, connection, request) {
+        request.log.debug({ err: error }, 'dropped websocket message exceeding the rate limit')
+      }
+  }
+}
+
+function rateLimitError (bucket, interval) {
+  const error = new Error(`${bucket.scope} ${bucket.unit} rate limit exceeded`)
+  error.statusCode = 429
+  error.closeCode = 1008
+  error.rateLimit = { scope: bucket.scope, unit: bucket.unit, limit: bucket.limit, interval }
+  return error
+}
+
+function isPositive (value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0
+}
+
+function isRateLimitStore (store) {
+  return store !== null && typeof store === 'object' && typeof store.consume === 'function'
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  rateLimitOptions,
+  rateLimiter,
+  rateLimitHandler,
+  rateLimitError
+}
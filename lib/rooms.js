@@ -0,0 +1,220 @@
+'use strict'
+
+const { randomBytes } = require('crypto')
+const WebSocket = require('ws')
+const MemoryAdapter = require('./adapters/memory')
+const { kEncode } = require('./codecs')
+
+const kTopics = Symbol('ws-topics')
+
+// Keeps track of the topics connections joined, and delivers the messages broadcast to a topic to every
+// connection subscribed to it. Subscriptions follow the MQTT topic filter syntax: levels are separated by
+// slashes, `+` matches exactly one level and a trailing `#` matches any number of levels.
+//
+// Broadcasts are also published through the adapter, so that the connections held by other instances
+// sharing it receive them as well.
+class Rooms {
+  constructor (adapter, log) {
+    this.adapter = adapter || new MemoryAdapter()
+    this.log = log
+    this.id = randomBytes(8).toString('hex')
+    // topic filters without wildcards are looked up directly, the others are matched one by one
+    this.exact = new Map()
+    this.wildcards = new Map()
+  }
+
+  start () {
+    return this.adapter.subscribe(envelope => {
+      // messages published by this instance have already been delivered by broadcast()
+      if (envelope.origin !== this.id) {
+        this.deliver(envelope.topic, envelope.data, undefined, envelope.json ? () => JSON.parse(envelope.data) : null)
+      }
+    })
+  }
+
+  close () {
+    if (typeof this.adapter.close === 'function') {
+      return this.adapter.close()
+    }
+  }
+
+  join (connection, filter) {
+    validateFilter(filter)
+
+    if (!connection[kTopics]) {
+      connection[kTopics] = new Set()
+    }
+    connection[kTopics].add(filter)
+
+    if (isWildcard(filter)) {
+      let room = this.wildcards.get(filter)
+      if (!room) {
+        room = { levels: filter.split('/'), members: new Set() }
+        this.wildcards.set(filter, room)
+      }
+      room.members.add(connection)
+    } else {
+      let members = this.exact.get(filter)
+      if (!members) {
+        members = new Set()
+        this.exact.set(filter, members)
+      }
+      members.add(connection)
+    }
+  }
+
+  leave (connection, filter) {
+    if (!connection[kTopics] || !connection[kTopics].delete(filter)) {
+      return
+    }
+
+    if (isWildcard(filter)) {
+      const room = this.wildcards.get(filter)
+      room.members.delete(connection)
+      if (room.members.size === 0) {
+        this.wildcards.delete(filter)
+      }
+    } else {
+      const members = this.exact.get(filter)
+      members.delete(connection)
+      if (members.size === 0) {
+        this.exact.delete(filter)
+      }
+    }
+  }
+
+  leaveAll (connection) {
+    if (!connection[kTopics]) {
+      return
+    }
+    for (const filter of connection[kTopics]) {
+      this.leave(connection, filter)
+    }
+  }
+
+  topicsOf (connection) {
+    return connection[kTopics] ? Array.from(connection[kTopics]) : []
+  }
+
+  topics () {
+    return Array.from(this.exact.keys()).concat(Array.from(this.wildcards.keys()))
+  }
+
+  subscribers (topic) {
+    validateTopic(topic)
+
+    const levels = topic.split('/')
+    const subscribers = new Set(this.exact.get(topic))
+    for (const room of this.wildcards.values()) {
+      if (matches(room.levels, levels)) {
+        for (const connection of room.members) {
+          subscribers.add(connection)
+        }
+      }
+    }
+    return subscribers
+  }
+
+  // Sends `data` to the connections of this instance subscribed to `topic`, but the ones listed in `except`,
+  // and publishes it for the other instances. Objects are encoded once for all the connections using the same
+  // codec, and published as JSON. Returns the number of local connections the message was sent to.
+  broadcast (topic, data, except) {
+    const payload = serialize(data)
+    const json = payload !== data
+    const sent = this.deliver(topic, payload, except, json ? () => data : null)
+
+    const onError = err => this.log.error({ err, topic }, 'failed to publish websocket broadcast')
+    try {
+      const envelope = { origin: this.id, topic, data: payload }
+      if (json) {
+        envelope.json = true
+      }
+      const published = this.adapter.publish(envelope)
+      if (published && typeof published.catch === 'function') {
+        published.catch(onError)
+      }
+    } catch (err) {
+      onError(err)
+    }
+
+    return sent
+  }
+
+  // `value` returns the object `payload` is the JSON serialization of, to encode it for the connections using
+  // another codec, and is null when `payload` is sent as it is to all of them
+  deliver (topic, payload, except, value) {
+    const excluded = new Set([].concat(except || []))
+    const frames = new Map([[JSON.stringify, payload]])
+
+    let sent = 0
+    for (const connection of this.subscribers(topic)) {
+      if (excluded.has(connection) || connection.socket.readyState !== WebSocket.OPEN) {
+        continue
+      }
+      let frame = payload
+      if (value) {
+        const encode = connection[kEncode]
+        frame = frames.get(encode)
+        if (frame === undefined) {
+          frame = encode(value())
+          frames.set(encode, frame)
+        }
+      }
+      connection.socket.send(frame)
+      sent++
+    }
+    return sent
+  }
+}
+
+function serialize (data) {
+  if (typeof data === 'string' || Buffer.isBuffer(data)) {
+    return data
+  }
+  if (ArrayBuffer.isView(data)) {
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+  }
+  if (data instanceof ArrayBuffer) {
+    return Buffer.from(data)
+  }
+  return JSON.stringify(data)
+}
+
+function matches (filterLevels, topicLevels) {
+  for (let i = 0; i < filterLevels.length; i++) {
+    const level = filterLevels[i]
+    if (level === '#') {
+      return true
+    }
+    if (i >= topicLevels.length || (level !== '+' && level !== topicLevels[i])) {
+      return false
+    }
+  }
+  return filterLevels.length === topicLevels.length
+}
+
+function isWildcard (filter) {
+  return filter.includes('+') || filter.includes('#')
+}
+
+function validateFilter (filter) {
+  if (typeof filter !== 'string' || filter.length === 0) {
+    throw new Error('invalid topic filter')
+  }
+
+  const levels = filter.split('/')
+  for (let i = 0; i < levels.length; i++) {
+    const level = levels[i]
+    if ((level.includes('#') && (level !== '#' || i !== levels.length - 1)) || (level.includes('+') && level !== '+')) {
+      throw new Error(`invalid topic filter ${filter}`)
+    }
+  }
+}
+
+function validateTopic (topic) {
+  if (typeof topic !== 'string' || topic.length === 0 || isWildcard(topic)) {
+    throw new Error(`invalid topic ${topic}`)
+  }
+}
+
+module.exports = Rooms
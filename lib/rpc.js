@@ -0,0 +1,172 @@
+'use strict'
+
+const PARSE_ERROR = -32700
+const INVALID_REQUEST = -32600
+const METHOD_NOT_FOUND = -32601
+const SERVER_ERROR = -32000
+
+// The JSON-RPC 2.0 peer of a connection, answering the requests of the client with the methods of the route and
+// sending the calls of the server to the client
+class RpcPeer {
+  constructor (connection, options, invoke) {
+    this.socket = connection.socket
+    this.methods = options.methods
+    this.timeout = options.timeout
+    this.invoke = invoke
+    this.pending = new Map()
+    this.nextId = 1
+    this.socket.once('close', () => this.cancel())
+  }
+
+  call (method, params, options) {
+    if (this.socket.readyState !== this.socket.OPEN) {
+      return Promise.reject(new Error('websocket connection closed'))
+    }
+
+    const id = this.nextId++
+    const timeout = (options && options.timeout) || this.timeout
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id)
+        reject(new Error(`RPC call of ${method} timed out`))
+      }, timeout)
+      this.pending.set(id, { resolve, reject, timer })
+      this.send({ jsonrpc: '2.0', id, method, params })
+    })
+  }
+
+  notify (method, params) {
+    this.send({ jsonrpc: '2.0', method, params })
+  }
+
+  // Handles a decoded frame, a single message or a batch of them
+  receive (message) {
+    if (!Array.isArray(message)) {
+      return this.handle(message).then(response => response && this.send(response))
+    }
+
+    if (message.length === 0) {
+      this.send(errorResponse(null, INVALID_REQUEST, 'Invalid Request'))
+      return Promise.resolve()
+    }
+    return Promise.all(message.map(message => this.handle(message))).then(responses => {
+      responses = responses.filter(Boolean)
+      if (responses.length > 0) {
+        this.send(responses)
+      }
+    })
+  }
+
+  parseError () {
+    this.send(errorResponse(null, PARSE_ERROR, 'Parse error'))
+  }
+
+  // Resolves the response to a message, undefined for the notifications and the responses to the server calls
+  handle (message) {
+    if (message === null || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return Promise.resolve(errorResponse(null, INVALID_REQUEST, 'Invalid Request'))
+    }
+
+    if (typeof message.method !== 'string') {
+      if ('result' in message || 'error' in message) {
+        this.settle(message)
+        return Promise.resolve()
+      }
+      return Promise.resolve(errorResponse(null, INVALID_REQUEST, 'Invalid Request'))
+    }
+
+    const id = message.id
+    const notification = !('id' in message)
+    if ((!notification && !isId(id)) ||
+      (message.params !== undefined && (message.params === null || typeof message.params !== 'object'))) {
+      return Promise.resolve(errorResponse(null, INVALID_REQUEST, 'Invalid Request'))
+    }
+
+    const method = this.methods.get(message.method)
+    if (method === undefined) {
+      return Promise.resolve(notification ? undefined : errorResponse(id, METHOD_NOT_FOUND, 'Method not found'))
+    }
+    return Promise.resolve()
+      .then(() => this.invoke(method, message.params))
+      .then(
+        result => notification ? undefined : { jsonrpc: '2.0', id, result: result === undefined ? null : result },
+        error => notification ? undefined : methodErrorResponse(id, error)
+      )
+  }
+
+  settle (response) {
+    const call = this.pending.get(response.id)
+    if (call === undefined) {
+      return
+    }
+    this.pending.delete(response.id)
+    clearTimeout(call.timer)
+    if (response.error) {
+      const error = new Error(response.error.message)
+      error.code = response.error.code
+      error.data = response.error.data
+      call.reject(error)
+    } else {
+      call.resolve(response.result)
+    }
+  }
+
+  // the calls still waiting for a response fail once the connection is closed
+  cancel () {
+    for (const call of this.pending.values()) {
+      clearTimeout(call.timer)
+      call.reject(new Error('websocket connection closed'))
+    }
+    this.pending.clear()
+  }
+
+  send (frame) {
+    if (this.socket.readyState === this.socket.OPEN) {
+      // serialized like the other messages of the route, with its codec if any
+      this.socket.send(frame)
+    }
+  }
+}
+
+function errorResponse (id, code, message, data) {
+  return { jsonrpc: '2.0', id, error: data === undefined ? { code, message } : { code, message, data } }
+}
+
+// The methods can throw anything, the values that are not errors are answered with their string as message
+function methodErrorResponse (id, error) {
+  const isObject = error !== null && typeof error === 'object'
+  const message = isObject ? error.message : error
+  return errorResponse(
+    id,
+    isObject && Number.isInteger(error.code) ? error.code : SERVER_ERROR,
+    message === null || message === undefined ? 'Server error' : String(message),
+    isObject ? error.data : undefined
+  )
+}
+
+function isId (id) {
+  return id === null || typeof id === 'string' || typeof id === 'number'
+}
+
+function rpcOptions (rpc) {
+  if (rpc === undefined || rpc === false) {
+    return null
+  }
+  if (rpc === null || typeof rpc !== 'object' || rpc.methods === null || typeof rpc.methods !== 'object' ||
+    (rpc.timeout !== undefined && !(Number.isInteger(rpc.timeout) && rpc.timeout > 0))) {
+    throw new Error('invalid rpc option')
+  }
+  const methods = new Map()
+  for (const name of Object.keys(rpc.methods)) {
+    if (typeof rpc.methods[name] !== 'function') {
+      throw new Error('invalid rpc option')
+    }
+    methods.set(name, rpc.methods[name])
+  }
+  return { methods, timeout: rpc.timeout || 30000 }
+}
+
+module.exports = {
+  RpcPeer,
+  rpcOptions
+}
@@ -0,0 +1,154 @@
+'use strict'
+
+const { randomBytes } = require('crypto')
+
+// The sessions of the resumable routes, kept for a grace period once their connection closes so that a client
+// reconnecting with their token gets the messages it missed
+class Sessions {
+  constructor () {
+    this.sessions = new Map()
+  }
+
+  // Binds the connection to the session it resumes, from the `session_token` and `last_seq` query parameters of its
+  // handshake, or to a new one, and announces the session to the client before replaying the messages it missed.
+  // The announcement and the messages buffered while the client is disconnected are serialized with `encode`, and
+  // the announcement is a JSON-RPC notification on the `rpc` routes.
+  connect (connection, options, route, query, encode, rpc) {
+    let session = this.sessions.get(query.session_token)
+    const lastSequence = Number(query.last_seq)
+    let resumed = false
+    if (session !== undefined && session.route === route) {
+      resumed = session.canReplay(lastSequence)
+      if (!resumed) {
+        session.expire()
+      }
+    }
+    if (!resumed) {
+      session = new Session(randomBytes(16).toString('hex'), route, options, expired => this.sessions.delete(expired.token))
+      this.sessions.set(session.token, session)
+    }
+
+    connection.session = session
+    connection.resumed = resumed
+    session.attach(connection, resumed, lastSequence, encode, rpc)
+  }
+
+  // the sessions all expire once fastify closes
+  close () {
+    for (const session of this.sessions.values()) {
+      session.expire()
+    }
+  }
+}
+
+class Session {
+  constructor (token, route, options, forget) {
+    this.token = token
+    this.route = route
+    this.state = {}
+    this.sequence = 0
+    this.buffer = []
+    this.bufferSize = options.bufferSize
+    this.gracePeriod = options.gracePeriod
+    this.forget = forget
+    this.expireListeners = []
+    this.connection = null
+    this.encode = null
+    this.timer = null
+  }
+
+  // Whether the messages sent after `lastSequence` are all still buffered
+  canReplay (lastSequence) {
+    return Number.isInteger(lastSequence) && lastSequence <= this.sequence && lastSequence >= this.sequence - this.buffer.length
+  }
+
+  attach (connection, resumed, lastSequence, encode, rpc) {
+    clearTimeout(this.timer)
+    this.timer = null
+    if (this.connection) {
+      this.connection.socket.close(1000, 'Session resumed')
+    }
+    this.connection = connection
+    this.encode = encode
+
+    // the messages are numbered and buffered as they are sent, once serialized
+    const socket = connection.socket
+    const send = socket.send
+    socket.send = (data, options, cb) => {
+      this.record(data, options)
+      return send.call(socket, data, options, cb)
+    }
+
+    socket.once('close', () => {
+      if (this.connection === connection) {
+        this.connection = null
+        this.timer = setTimeout(() => this.expire(), this.gracePeriod)
+        this.timer.unref()
+      }
+    })
+
+    const announcement = { token: this.token, resumed }
+    send.call(socket, encode(rpc ? { jsonrpc: '2.0', method: 'session', params: announcement } : { session: announcement }))
+    if (resumed) {
+      for (const message of this.buffer) {
+        if (message.sequence > lastSequence) {
+          send.call(socket, message.data, message.options)
+        }
+      }
+    }
+  }
+
+  // Sends a message on the current connection of the session, or buffers it to be replayed on resumption when the
+  // client is disconnected
+  send (data, options) {
+    if (this.connection) {
+      this.connection.socket.send(data, options)
+    } else {
+      this.record(typeof data === 'string' || ArrayBuffer.isView(data) || data instanceof ArrayBuffer ? data : this.encode(data), options)
+    }
+  }
+
+  record (data, options) {
+    this.sequence++
+    this.buffer.push({ sequence: this.sequence, data, options: typeof options === 'object' ? options : undefined })
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift()
+    }
+  }
+
+  // Calls `listener` once the session expires, to end what lives as long as the session rather than its connections
+  onExpire (listener) {
+    this.expireListeners.push(listener)
+  }
+
+  expire () {
+    clearTimeout(this.timer)
+    this.forget(this)
+    // a session expiring while its connection is open expires again once it closes, its listeners are only called once
+    const listeners = this.expireListeners
+    this.expireListeners = []
+    for (const listener of listeners) {
+      listener()
+    }
+  }
+}
+
+function sessionOptions (session) {
+  if (session === undefined || session === false) {
+    return null
+  }
+  if (session === true) {
+    return { gracePeriod: 30000, bufferSize: 100 }
+  }
+  if (session === null || typeof session !== 'object' ||
+    (session.gracePeriod !== undefined && !(Number.isInteger(session.gracePeriod) && session.gracePeriod > 0)) ||
+    (session.bufferSize !== undefined && !(Number.isInteger(session.bufferSize) && session.bufferSize > 0))) {
+    throw new Error('invalid session option')
+  }
+  return { gracePeriod: session.gracePeriod || 30000, bufferSize: session.bufferSize || 100 }
+}
+
+module.exports = {
+  Sessions,
+  sessionOptions
+}
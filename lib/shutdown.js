@@ -0,0 +1,71 @@
+'use strict'
+
+const kOnShutdown = Symbol('ws-on-shutdown')
+
+// Closes the open connections when fastify closes. Each connection is given to the onShutdown callback of its
+// route first, then closed with the configured code and reason. The connections still open after `timeout`
+// milliseconds are terminated.
+class Shutdown {
+  constructor (options, log) {
+    this.code = options.code
+    this.reason = options.reason
+    this.timeout = options.timeout
+    this.log = log
+    this.closing = false
+    this.connections = new Set()
+  }
+
+  track (connection, onShutdown) {
+    if (onShutdown) {
+      connection[kOnShutdown] = onShutdown
+    }
+    if (!this.connections.has(connection)) {
+      this.connections.add(connection)
+      connection.socket.once('close', () => this.connections.delete(connection))
+    }
+  }
+
+  // Resolves once every connection is closed
+  close () {
+    this.closing = true
+
+    const connections = Array.from(this.connections)
+    const closed = Promise.all(connections.map(connection => new Promise(resolve => {
+      connection.socket.once('close', resolve)
+    })))
+
+    for (const connection of connections) {
+      const onShutdown = connection[kOnShutdown]
+      Promise.resolve()
+        .then(() => onShutdown && onShutdown(connection))
+        .catch(err => this.log.error({ err }, 'websocket onShutdown failed'))
+        .then(() => connection.socket.close(this.code, this.reason))
+    }
+
+    let timer
+    const drained = new Promise(resolve => {
+      timer = setTimeout(resolve, this.timeout)
+    }).then(() => {
+      for (const connection of this.connections) {
+        connection.socket.terminate()
+      }
+      return closed
+    })
+
+    return Promise.race([closed, drained]).then(() => clearTimeout(timer))
+  }
+}
+
+function shutdownOptions (shutdown) {
+  const options = Object.assign({ code: 1001, reason: '', timeout: 10000 }, shutdown)
+  if (!Number.isInteger(options.code) || typeof options.reason !== 'string' ||
+    typeof options.timeout !== 'number' || !(options.timeout >= 0)) {
+    throw new Error('invalid shutdown option')
+  }
+  return options
+}
+
+module.exports = {
+  Shutdown,
+  shutdownOptions
+}
@@ -0,0 +1,203 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { EventEmitter, once } = require('events')
+const { MemoryAdapter, ClusterAdapter } = fastifyWebsocket
+
+async function buildServer (t, opts) {
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, opts)
+
+  const connections = []
+  fastify.get('/', { websocket: true }, (connection, request) => {
+    connection.join(request.query.topic)
+    connections.push(connection)
+    connection.socket.send('joined')
+  })
+
+  fastify.connect = async function (topic) {
+    const ws = await fastify.injectWS('/', { query: { topic } })
+    await once(ws, 'message')
+    t.teardown(() => ws.terminate())
+    return ws
+  }
+  fastify.connections = connections
+
+  return fastify
+}
+
+test('Should deliver broadcasts to the instances sharing a memory bus', async (t) => {
+  t.plan(5)
+
+  const bus = new EventEmitter()
+  const first = await buildServer(t, { broadcastAdapter: new MemoryAdapter({ bus }) })
+  const second = await buildServer(t, { broadcastAdapter: new MemoryAdapter({ bus }) })
+  const alone = await buildServer(t)
+
+  const local = await first.connect('news')
+  const remote = await second.connect('news')
+  const isolated = await alone.connect('news')
+  isolated.on('message', () => t.fail('instances not sharing the bus should not receive the broadcast'))
+
+  t.equal(first.websocketBroadcast('news', { title: 'hello' }), 1)
+  const [[localMessage], [remoteMessage]] = await Promise.all([once(local, 'message'), once(remote, 'message')])
+  t.same(JSON.parse(localMessage), { title: 'hello' })
+  t.same(JSON.parse(remoteMessage), { title: 'hello' })
+
+  // except only refers to the connections of the instance broadcasting
+  t.equal(second.websocketBroadcast('news', 'again', { except: second.connections[0] }), 0)
+  const [message] = await once(local, 'message')
+  t.equal(message.toString(), 'again')
+})
+
+test('Should stop receiving broadcasts once closed', async (t) => {
+  t.plan(2)
+
+  const bus = new EventEmitter()
+  const first = await buildServer(t, { broadcastAdapter: new MemoryAdapter({ bus }) })
+  const second = Fastify()
+  await second.register(fastifyWebsocket, { broadcastAdapter: new MemoryAdapter({ bus }) })
+
+  t.equal(bus.listenerCount('message'), 2)
+  await second.close()
+  t.equal(bus.listenerCount('message'), 1)
+
+  await first.connect('news')
+  first.websocketBroadcast('news', 'hello')
+})
+
+test('Should wait for the adapter subscription and log the failed publications', async (t) => {
+  t.plan(5)
+
+  const logs = []
+  const adapter = {
+    subscribe (onMessage) {
+      t.equal(typeof onMessage, 'function')
+      return new Promise(resolve => setImmediate(resolve))
+    },
+    publish (envelope) {
+      t.equal(envelope.topic, 'news')
+      return Promise.reject(new Error('broker unavailable'))
+    },
+    close () {
+      t.pass('adapter closed')
+    }
+  }
+
+  const fastify = Fastify({
+    logger: {
+      level: 'error',
+      stream: { write: line => logs.push(JSON.parse(line)) }
+    }
+  })
+  await fastify.register(fastifyWebsocket, { broadcastAdapter: adapter })
+  await fastify.ready()
+
+  t.equal(fastify.websocketBroadcast('news', 'hello'), 0)
+  await new Promise(resolve => setImmediate(resolve))
+  t.equal(logs[0].err.message, 'broker unavailable')
+
+  await fastify.close()
+})
+
+test('Should log the adapters failing synchronously', async (t) => {
+  t.plan(2)
+
+  const logs = []
+  const fastify = Fastify({
+    logger: {
+      level: 'error',
+      stream: { write: line => logs.push(JSON.parse(line)) }
+    }
+  })
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, {
+    broadcastAdapter: {
+      subscribe () {},
+      publish () { throw new Error('not connected') }
+    }
+  })
+
+  t.equal(fastify.websocketBroadcast('news', 'hello'), 0)
+  t.equal(logs[0].msg, 'failed to publish websocket broadcast')
+})
+
+test('Should fail if the broadcastAdapter is not valid', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await t.rejects(fastify.register(fastifyWebsocket, { broadcastAdapter: { publish () {} } }), /invalid broadcastAdapter option/)
+
+  const other = Fastify()
+  t.teardown(() => other.close())
+  await t.rejects(other.register(fastifyWebsocket, {
+    broadcastAdapter: {
+      subscribe () { throw new Error('cannot subscribe') },
+      publish () {}
+    }
+  }), /cannot subscribe/)
+})
+
+// Simulates the IPC channels of a cluster with two workers, serializing the messages like Node.js does
+function createCluster () {
+  const cluster = new EventEmitter()
+  cluster.workers = {}
+  const channels = []
+
+  for (const id of [1, 2]) {
+    const channel = new EventEmitter()
+    const worker = {
+      isConnected: () => true,
+      send: message => setImmediate(() => channel.emit('message', JSON.parse(JSON.stringify(message))))
+    }
+    channel.send = message => setImmediate(() => cluster.emit('message', worker, JSON.parse(JSON.stringify(message))))
+    cluster.workers[id] = worker
+    channels.push(channel)
+  }
+  cluster.workers[3] = { isConnected: () => false, send: () => { throw new Error('worker 3 is disconnected') } }
+
+  ClusterAdapter.setupPrimary(cluster)
+  return channels
+}
+
+test('Should deliver broadcasts to the workers of a cluster', async (t) => {
+  t.plan(3)
+
+  const [firstChannel, secondChannel] = createCluster()
+  const first = await buildServer(t, { broadcastAdapter: new ClusterAdapter({ channel: firstChannel }) })
+  const second = await buildServer(t, { broadcastAdapter: new ClusterAdapter({ channel: secondChannel }) })
+
+  const ws = await second.connect('news')
+  // unrelated messages on the IPC channel are ignored
+  firstChannel.send({ cmd: 'other' })
+  secondChannel.emit('message', { cmd: 'other' })
+
+  first.websocketBroadcast('news', { title: 'hello' })
+  const [json] = await once(ws, 'message')
+  t.same(JSON.parse(json), { title: 'hello' })
+
+  first.websocketBroadcast('news', new Uint8Array([1, 2, 3]))
+  const [binary, isBinary] = await once(ws, 'message')
+  t.same(Array.from(binary), [1, 2, 3])
+  t.equal(isBinary, true)
+})
+
+test('Should only create a ClusterAdapter in a cluster worker', async (t) => {
+  t.plan(2)
+
+  t.throws(() => new ClusterAdapter({ channel: {} }), /ClusterAdapter can only be used in a cluster worker/)
+
+  // the IPC channel of the worker process is used by default
+  const send = process.send
+  process.send = () => {}
+  t.teardown(() => { process.send = send })
+  t.equal(new ClusterAdapter().channel, process)
+
+  ClusterAdapter.setupPrimary()
+})
@@ -0,0 +1,264 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { MemoryAdapter } = fastifyWebsocket
+const { EventEmitter, once } = require('events')
+
+// a binary codec prefixing the JSON of the messages with a tag byte
+const tagged = {
+  encode: data => Buffer.concat([Buffer.from([1]), Buffer.from(JSON.stringify(data))]),
+  decode: data => {
+    if (data[0] !== 1) {
+      throw new Error('missing tag')
+    }
+    return JSON.parse(data.subarray(1))
+  }
+}
+
+test('Should encode and decode the messages with the codec of the negotiated subprotocol', async (t) => {
+  t.plan(12)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+  t.equal(fastify.websocketCodec('tagged', tagged), fastify)
+
+  const codecs = []
+  fastify.get('/telemetry', { websocket: true, codecs: ['json', 'tagged'] }, (connection) => {
+    codecs.push(connection.codec)
+    connection.on('data', message => {
+      connection.send({ echo: message })
+    })
+  })
+
+  const browser = await fastify.injectWS('/telemetry')
+  t.equal(browser.protocol, '')
+  browser.send(JSON.stringify({ cpu: 0.5 }))
+  const [text, textIsBinary] = await once(browser, 'message')
+  t.same(JSON.parse(text), { echo: { cpu: 0.5 } })
+  t.equal(textIsBinary, false)
+
+  const native = await fastify.injectWS('/telemetry', { protocols: ['v1.tagged', 'v1.json'] })
+  t.equal(native.protocol, 'v1.tagged')
+  native.send(tagged.encode({ cpu: 0.7 }))
+  const [binary, isBinary] = await once(native, 'message')
+  t.same(tagged.decode(binary), { echo: { cpu: 0.7 } })
+  t.equal(isBinary, true)
+
+  // the subprotocols that do not stand for a codec of the route are echoed back, with the first codec
+  const other = await fastify.injectWS('/telemetry', { protocols: ['v1.other'] })
+  t.equal(other.protocol, 'v1.other')
+  t.same(codecs, ['json', 'tagged', 'json'])
+
+  // the frames the codec cannot decode are invalid
+  native.send(Buffer.from('{}'))
+  const [code, reason] = await once(native, 'close')
+  t.equal(code, 1007)
+  t.equal(reason.toString(), 'Invalid message')
+
+  t.throws(() => fastify.websocketCodec('tagged', tagged), /codec tagged is already registered/)
+})
+
+test('Should encode the messages sent on the connection stream and the socket with the codec', async (t) => {
+  t.plan(4)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { csrf: { verify: token => token === 'secret' } })
+  fastify.websocketCodec('tagged', tagged)
+
+  fastify.get('/', { websocket: true, codecs: ['tagged'] }, (connection) => {
+    connection.socket.send({ via: 'socket' })
+    // strings and buffers are sent as they are on the socket
+    connection.socket.send('raw')
+  })
+
+  // the subprotocol of the codec is selected over the one carrying the CSRF token
+  const ws = await fastify.injectWS('/', { protocols: ['csrf-token.secret', 'v2.tagged'] })
+  t.equal(ws.protocol, 'v2.tagged')
+  const [first] = await once(ws, 'message')
+  t.same(tagged.decode(first), { via: 'socket' })
+  const [second] = await once(ws, 'message')
+  t.equal(second.toString(), 'raw')
+
+  const tokenOnly = await fastify.injectWS('/', { protocols: ['csrf-token.secret'] })
+  t.equal(tokenOnly.protocol, 'csrf-token.secret')
+})
+
+test('Should send the messages as they are with connection.send() on the routes without codecs', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', { websocket: true }, (connection) => {
+    connection.send('raw')
+  })
+  fastify.get('/json', { websocket: true, messageFormat: 'json' }, (connection) => {
+    connection.send('quoted')
+  })
+
+  const ws = await fastify.injectWS('/')
+  const [raw] = await once(ws, 'message')
+  t.equal(raw.toString(), 'raw')
+
+  const json = await fastify.injectWS('/json')
+  const [quoted] = await once(json, 'message')
+  t.equal(quoted.toString(), '"quoted"')
+})
+
+test('Should fail on invalid codecs', async (t) => {
+  t.plan(8)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket)
+
+  for (const [name, codec] of [['', tagged], ['v1.tagged', tagged], ['tagged', null], ['tagged', { encode: tagged.encode }]]) {
+    t.throws(() => fastify.websocketCodec(name, codec), /invalid codec/)
+  }
+  t.throws(() => fastify.websocketCodec('json', tagged), /codec json is already registered/)
+
+  for (const codecs of [[], 'json']) {
+    t.throws(() => {
+      fastify.get('/', { websocket: true, codecs }, () => {})
+    }, /invalid codecs option/)
+  }
+  t.throws(() => {
+    fastify.get('/', { websocket: true, codecs: ['json', 'msgpack'] }, () => {})
+  }, /unknown codec msgpack/)
+})
+
+test('Should not let codecs be used with a message format', async (t) => {
+  t.plan(1)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket)
+
+  t.throws(() => {
+    fastify.get('/', { websocket: true, codecs: ['json'], messageFormat: 'json' }, () => {})
+  }, /codecs cannot be used with the messageFormat option/)
+})
+
+test('Should encode the session announcements and the messages buffered for the session with the codec', async (t) => {
+  t.plan(4)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+  fastify.websocketCodec('tagged', tagged)
+
+  const connections = []
+  fastify.get('/', { websocket: true, codecs: ['tagged'], session: true }, (connection) => {
+    connections.push(connection)
+  })
+
+  const first = await fastify.injectWS('/', { protocols: ['v1.tagged'] })
+  const [announcement] = await once(first, 'message')
+  const { session } = tagged.decode(announcement)
+  t.equal(session.resumed, false)
+
+  first.terminate()
+  await once(connections[0].socket, 'close')
+  connections[0].session.send({ missed: true })
+
+  const second = await fastify.injectWS('/', { protocols: ['v1.tagged'], query: { session_token: session.token, last_seq: '0' } })
+  const [resumed] = await once(second, 'message')
+  t.same(tagged.decode(resumed), { session: { token: session.token, resumed: true } })
+  const [replayed, isBinary] = await once(second, 'message')
+  t.same(tagged.decode(replayed), { missed: true })
+  t.equal(isBinary, true)
+})
+
+test('Should encode the broadcasts once for each codec, on every instance', async (t) => {
+  t.plan(6)
+
+  const bus = new EventEmitter()
+  let encoded = 0
+  const counted = {
+    encode: data => {
+      encoded++
+      return tagged.encode(data)
+    },
+    decode: tagged.decode
+  }
+
+  const servers = []
+  for (let i = 0; i < 2; i++) {
+    const fastify = Fastify()
+    t.teardown(() => fastify.close())
+    await fastify.register(fastifyWebsocket, { broadcastAdapter: new MemoryAdapter({ bus }) })
+    fastify.websocketCodec('tagged', counted)
+    fastify.get('/', { websocket: true, codecs: ['json', 'tagged'] }, (connection) => {
+      connection.join('news')
+      connection.socket.send('joined')
+    })
+    servers.push(fastify)
+  }
+
+  const connect = async (fastify, protocols) => {
+    const ws = await fastify.injectWS('/', { protocols })
+    t.teardown(() => ws.terminate())
+    await once(ws, 'message')
+    return ws
+  }
+  const clients = [
+    await connect(servers[0], ['v1.tagged']),
+    await connect(servers[0], ['v1.tagged']),
+    await connect(servers[0], []),
+    await connect(servers[1], ['v1.tagged']),
+    await connect(servers[1], [])
+  ]
+
+  const received = Promise.all(clients.map(ws => once(ws, 'message')))
+  t.equal(servers[0].websocketBroadcast('news', { hello: 1 }), 3)
+  const messages = (await received).map(([data]) => data)
+
+  t.same([0, 1, 3].map(i => tagged.decode(messages[i])), [{ hello: 1 }, { hello: 1 }, { hello: 1 }])
+  t.equal(messages[2].toString(), '{"hello":1}')
+  t.equal(messages[4].toString(), '{"hello":1}')
+  // once for the connections of each instance
+  t.equal(encoded, 2)
+
+  // strings are sent as they are to all of them
+  const raw = Promise.all(clients.map(ws => once(ws, 'message')))
+  servers[1].websocketBroadcast('news', 'raw')
+  t.same((await raw).map(([data]) => data.toString()), ['raw', 'raw', 'raw', 'raw', 'raw'])
+})
+
+test('Should encode the error frames of the plugin with the codec', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+  fastify.websocketCodec('tagged', tagged)
+
+  fastify.get('/', {
+    websocket: true,
+    codecs: ['tagged'],
+    onInvalidMessage: 'send',
+    rateLimit: { connection: { messages: 2 }, action: 'send' }
+  }, () => {})
+
+  const ws = await fastify.injectWS('/', { protocols: ['v1.tagged'] })
+  t.teardown(() => ws.terminate())
+
+  ws.send(Buffer.from('{}'))
+  const [invalid] = await once(ws, 'message')
+  t.same(tagged.decode(invalid), { error: 'Invalid message', message: 'missing tag' })
+
+  ws.send(tagged.encode({}))
+  ws.send(tagged.encode({}))
+  const [limited] = await once(ws, 'message')
+  t.same(tagged.decode(limited), { error: 'Rate limit exceeded', message: 'connection messages rate limit exceeded' })
+})
@@ -0,0 +1,150 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+test('Should reject the handshakes over the limit of connections of a client', async (t) => {
+  t.plan(5)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { maxConnections: { client: 2, retryAfter: 30 } })
+
+  fastify.get('/', { websocket: true }, () => {})
+  fastify.get('/other', { websocket: true }, () => {})
+
+  const first = await fastify.injectWS('/')
+  await fastify.injectWS('/other')
+
+  // the limit of the plugin counts the connections of a client to all the routes
+  const error = await fastify.injectWS('/').catch(err => err)
+  t.equal(error.statusCode, 429)
+  t.equal(error.headers['retry-after'], '30')
+  t.equal(JSON.parse(error.payload).message, 'Too many websocket connections from this client')
+
+  // closing a connection frees its slot
+  first.close()
+  await once(first, 'close')
+  await new Promise(resolve => setImmediate(resolve))
+  const again = await fastify.injectWS('/')
+  t.equal(again.readyState, again.OPEN)
+
+  const response = await fastify.inject({ method: 'GET', url: '/' })
+  t.equal(response.statusCode, 404)
+})
+
+test('Should limit the connections of a route and of all the routes', async (t) => {
+  t.plan(5)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { maxConnections: { global: 3, route: 2 } })
+
+  fastify.get('/', { websocket: true }, () => {})
+  fastify.get('/other', { websocket: true }, () => {})
+
+  await fastify.injectWS('/')
+  await fastify.injectWS('/')
+  const route = await fastify.injectWS('/').catch(err => err)
+  t.equal(route.statusCode, 503)
+  t.equal(route.headers['retry-after'], '5')
+  t.equal(JSON.parse(route.payload).message, 'Too many websocket connections')
+
+  await fastify.injectWS('/other')
+  const global = await fastify.injectWS('/other').catch(err => err)
+  t.equal(global.statusCode, 503)
+  t.equal(fastify.websocketServer.clients.size, 3)
+})
+
+test('Should release the connections of the handshakes that are not upgraded', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { maxConnections: { route: 1 } })
+
+  fastify.get('/', {
+    websocket: true,
+    preValidation: async (request, reply) => {
+      if (request.query.token !== 'valid') {
+        await reply.code(401).send('not authenticated')
+      }
+    }
+  }, () => {})
+
+  for (let i = 0; i < 2; i++) {
+    const error = await fastify.injectWS('/').catch(err => err)
+    t.equal(error.statusCode, 401)
+  }
+  const ws = await fastify.injectWS('/', { query: { token: 'valid' } })
+  t.equal(ws.readyState, ws.OPEN)
+})
+
+test('Should let routes set their own limits and client key', async (t) => {
+  t.plan(5)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { maxConnections: { global: 10, client: 1 } })
+
+  fastify.get('/', { websocket: true }, () => {})
+  fastify.get('/unlimited', { websocket: true, maxConnections: false }, () => {})
+  fastify.get('/users', {
+    websocket: true,
+    maxConnections: {
+      client: 2,
+      key: async (request) => request.headers['x-user-id'],
+      retryAfter: 60
+    }
+  }, () => {})
+
+  await fastify.injectWS('/')
+  await fastify.injectWS('/unlimited')
+  await fastify.injectWS('/unlimited')
+
+  // counted apart from the connections to the other routes
+  await fastify.injectWS('/users', { headers: { 'x-user-id': 'alice' } })
+  await fastify.injectWS('/users', { headers: { 'x-user-id': 'alice' } })
+  await fastify.injectWS('/users', { headers: { 'x-user-id': 'bob' } })
+  const error = await fastify.injectWS('/users', { headers: { 'x-user-id': 'alice' } }).catch(err => err)
+  t.equal(error.statusCode, 429)
+  t.equal(error.headers['retry-after'], '60')
+
+  const other = await fastify.injectWS('/').catch(err => err)
+  t.equal(other.statusCode, 429)
+
+  // the global limit still applies
+  for (let i = 0; i < 4; i++) {
+    await fastify.injectWS('/unlimited')
+  }
+  const global = await fastify.injectWS('/unlimited').catch(err => err)
+  t.equal(global.statusCode, 503)
+  t.equal(fastify.websocketServer.clients.size, 10)
+})
+
+test('Should fail on invalid maxConnections options', async (t) => {
+  t.plan(6)
+
+  for (const maxConnections of [null, { global: 0 }, { client: 1.5 }, { key: 'ip' }]) {
+    const fastify = Fastify()
+    t.teardown(() => fastify.close())
+    await t.rejects(fastify.register(fastifyWebsocket, { maxConnections }), /invalid maxConnections option/)
+  }
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket)
+
+  t.throws(() => {
+    fastify.get('/', { websocket: true, maxConnections: { global: 10 } }, () => {})
+  }, /invalid maxConnections option/)
+  t.throws(() => {
+    fastify.get('/', { websocket: true, maxConnections: { route: 10, retryAfter: -1 } }, () => {})
+  }, /invalid maxConnections option/)
+})
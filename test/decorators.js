@@ -0,0 +1,143 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+
+test('Should decorate the connections', async (t) => {
+  t.plan(10)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  const kTenant = Symbol('tenant')
+  fastify.decorateConnection('user', null)
+  fastify.decorateConnection(kTenant, 'acme')
+  t.equal(fastify.decorateConnection('subscriptions', {
+    init (connection, request) {
+      t.equal(this, fastify)
+      return new Set([request.query.topic])
+    }
+  }, ['user']), fastify)
+  fastify.decorateConnection('isSubscribed', function (topic) {
+    return this.subscriptions.has(topic)
+  })
+  fastify.decorateConnection('label', {
+    getter () {
+      return `${this.user}@${this[kTenant]}`
+    }
+  })
+  t.equal(fastify.hasConnectionDecorator('subscriptions'), true)
+  t.equal(fastify.hasConnectionDecorator('missing'), false)
+
+  const connections = []
+  fastify.addHook('onWsConnect', async (connection) => {
+    connection.user = 'bob'
+  })
+  fastify.get('/', { websocket: true }, (connection) => {
+    connections.push(connection)
+  })
+
+  await fastify.injectWS('/', { query: { topic: 'news' } })
+  await fastify.injectWS('/', { query: { topic: 'sports' } })
+
+  t.equal(connections[0].label, 'bob@acme')
+  t.equal(connections[0].isSubscribed('news'), true)
+  t.equal(connections[0].isSubscribed('sports'), false)
+  // every connection has its own state
+  t.not(connections[0].subscriptions, connections[1].subscriptions)
+  t.equal(connections[1].isSubscribed('sports'), true)
+})
+
+test('Should encapsulate the connection decorators', async (t) => {
+  t.plan(5)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+  fastify.decorateConnection('shared', true)
+
+  const seen = {}
+  fastify.register(async function (child) {
+    child.decorateConnection('scoped', true)
+    t.equal(child.hasConnectionDecorator('shared'), true)
+    child.get('/child', { websocket: true }, (connection) => {
+      seen.child = [connection.shared, connection.scoped]
+    })
+  })
+  fastify.register(async function (sibling) {
+    // the same name can be used by another context
+    sibling.decorateConnection('scoped', false)
+    sibling.get('/sibling', { websocket: true }, (connection) => {
+      seen.sibling = [connection.shared, connection.scoped]
+    })
+  })
+  fastify.get('/', { websocket: true }, (connection) => {
+    seen.root = [connection.shared, connection.scoped]
+  })
+
+  await fastify.injectWS('/child')
+  await fastify.injectWS('/sibling')
+  await fastify.injectWS('/')
+
+  t.same(seen.child, [true, true])
+  t.same(seen.sibling, [true, false])
+  t.same(seen.root, [true, undefined])
+  t.equal(fastify.hasConnectionDecorator('scoped'), false)
+})
+
+test('Should pass the errors of the decorators to the errorHandler', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  const failed = new Promise(resolve => {
+    fastify.register(fastifyWebsocket, {
+      errorHandler: (error, connection) => {
+        resolve(error)
+        connection.destroy()
+      }
+    })
+  })
+  await fastify.after()
+
+  fastify.decorateConnection('user', {
+    init () {
+      throw new Error('Unknown user')
+    }
+  })
+  let called = false
+  fastify.addHook('onWsConnect', () => {
+    called = true
+  })
+  fastify.get('/', { websocket: true }, () => {
+    called = true
+  })
+
+  await fastify.injectWS('/')
+  t.equal((await failed).message, 'Unknown user')
+  t.equal(called, false)
+})
+
+test('Should fail on invalid connection decorators', async (t) => {
+  t.plan(9)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket)
+
+  fastify.decorateConnection('user', null)
+  t.throws(() => fastify.decorateConnection('user', null), /connection decorator user is already present/)
+  t.throws(() => fastify.decorateConnection('socket', null), /connection decorator socket is already present/)
+  t.throws(() => fastify.decorateConnection('pipe', null), /connection decorator pipe is already present/)
+  t.throws(() => fastify.decorateConnection(42, null), /invalid connection decorator name/)
+  t.throws(() => fastify.decorateConnection('roles', []), /connection decorator roles is a reference type/)
+  t.throws(() => fastify.decorateConnection('state', {}), /connection decorator state is a reference type/)
+  t.throws(() => fastify.decorateConnection('tenant', null, 'user'), /invalid connection decorator dependencies/)
+  t.throws(() => fastify.decorateConnection('tenant', null, ['account']), /connection decorator tenant is missing dependency account/)
+  t.throws(() => fastify.decorateConnection(Symbol('tenant'), null, [Symbol('account')]), /connection decorator Symbol\(tenant\) is missing dependency Symbol\(account\)/)
+})
@@ -0,0 +1,181 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const dc = require('diagnostics_channel')
+const { once } = require('events')
+const { AsyncLocalStorage } = require('async_hooks')
+
+function subscribe (t, name) {
+  const messages = []
+  const channel = dc.channel(`fastify.websocket.${name}`)
+  const onMessage = message => messages.push(message)
+  channel.subscribe(onMessage)
+  t.teardown(() => channel.unsubscribe(onMessage))
+  return messages
+}
+
+test('Should publish the events of the handshakes and of the connections', async (t) => {
+  t.plan(19)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  const upgrades = subscribe(t, 'upgrade')
+  const connections = subscribe(t, 'connection')
+  const messages = subscribe(t, 'message')
+  const sends = subscribe(t, 'send')
+  const closes = subscribe(t, 'close')
+
+  fastify.get('/echo', { websocket: true, messageFormat: 'json' }, (connection) => {
+    connection.on('data', message => {
+      connection.socket.send({ echo: message })
+    })
+  })
+
+  const ws = await fastify.injectWS('/echo')
+  ws.send('{"text":"hi"}')
+  await once(ws, 'message')
+  ws.close(4000, 'bye')
+  await once(ws, 'close')
+  await new Promise(resolve => setImmediate(resolve))
+
+  t.equal(upgrades.length, 1)
+  t.equal(upgrades[0].request.url, '/echo')
+  t.equal(upgrades[0].route.url, '/echo')
+  t.equal(upgrades[0].connection, undefined)
+
+  t.equal(connections.length, 1)
+  const connection = connections[0].connection
+  t.equal(connections[0].request, upgrades[0].request)
+  t.equal(connections[0].route.messageFormat, 'json')
+  t.type(connections[0].elapsedTime, 'number')
+
+  // the incoming frames are published before being decoded, and the outgoing ones once encoded
+  t.equal(messages.length, 1)
+  t.equal(messages[0].connection, connection)
+  t.equal(messages[0].data.toString(), '{"text":"hi"}')
+  t.equal(messages[0].isBinary, false)
+  t.equal(sends.length, 1)
+  t.equal(sends[0].connection, connection)
+  t.equal(sends[0].data, '{"echo":{"text":"hi"}}')
+
+  t.equal(closes.length, 1)
+  t.equal(closes[0].connection, connection)
+  t.equal(closes[0].code, 4000)
+  t.equal(closes[0].reason.toString(), 'bye')
+})
+
+test('Should publish the errors of the handlers', async (t) => {
+  t.plan(4)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, {
+    errorHandler: (_, connection) => {
+      connection.socket.close(1011)
+    }
+  })
+
+  const errors = subscribe(t, 'error')
+
+  fastify.get('/', { websocket: true }, () => {
+    throw new Error('handler failed')
+  })
+
+  const ws = await fastify.injectWS('/')
+  await once(ws, 'close')
+
+  t.equal(errors.length, 1)
+  t.equal(errors[0].error.message, 'handler failed')
+  t.equal(errors[0].route.url, '/')
+  t.ok(errors[0].connection)
+})
+
+test('Should trace the handlers', { skip: !dc.tracingChannel && 'TracingChannel is not available' }, async (t) => {
+  t.plan(11)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, {
+    errorHandler: (_, connection) => {
+      connection.socket.close(1011)
+    }
+  })
+
+  const events = []
+  const handlers = {}
+  for (const event of ['start', 'end', 'asyncStart', 'asyncEnd', 'error']) {
+    handlers[event] = message => events.push([event, message.route.url, message.error && message.error.message])
+  }
+  const tracing = dc.tracingChannel('fastify.websocket.handler')
+  const store = new AsyncLocalStorage()
+  tracing.subscribe(handlers)
+  t.teardown(() => tracing.unsubscribe(handlers))
+
+  fastify.get('/sync', { websocket: true }, () => {})
+  fastify.get('/async', { websocket: true }, async (connection) => {
+    await new Promise(resolve => setImmediate(resolve))
+    connection.socket.send('done')
+  })
+  fastify.get('/throw', { websocket: true }, () => {
+    throw new Error('sync failure')
+  })
+  fastify.get('/reject', { websocket: true }, async () => {
+    throw new Error('async failure')
+  })
+  fastify.get('/store', { websocket: true }, async (connection) => {
+    t.equal(store.getStore(), '/store')
+    await new Promise(resolve => setImmediate(resolve))
+    t.equal(store.getStore(), '/store')
+    connection.socket.send('done')
+  })
+
+  await fastify.injectWS('/sync')
+  t.same(events.splice(0), [['start', '/sync', undefined], ['end', '/sync', undefined]])
+
+  const ws = await fastify.injectWS('/async')
+  await once(ws, 'message')
+  t.same(events.splice(0), [
+    ['start', '/async', undefined],
+    ['end', '/async', undefined],
+    ['asyncStart', '/async', undefined],
+    ['asyncEnd', '/async', undefined]
+  ])
+
+  const thrown = await fastify.injectWS('/throw')
+  await once(thrown, 'close')
+  t.same(events.splice(0), [
+    ['start', '/throw', undefined],
+    ['error', '/throw', 'sync failure'],
+    ['end', '/throw', 'sync failure']
+  ])
+
+  const rejected = await fastify.injectWS('/reject')
+  await once(rejected, 'close')
+  t.same(events.splice(0), [
+    ['start', '/reject', undefined],
+    ['end', '/reject', undefined],
+    ['error', '/reject', 'async failure'],
+    ['asyncStart', '/reject', 'async failure'],
+    ['asyncEnd', '/reject', 'async failure']
+  ])
+
+  // the handlers run in the context of the stores bound to the start channel
+  tracing.start.bindStore(store, message => message.request.url)
+  t.teardown(() => tracing.start.unbindStore(store))
+
+  const stored = await fastify.injectWS('/store')
+  await once(stored, 'message')
+  t.equal(store.getStore(), undefined)
+
+  t.equal(events.length, 4)
+  t.equal(events[0][1], '/store')
+  t.equal(events[3][0], 'asyncEnd')
+  t.equal(events[3][1], '/store')
+})
@@ -0,0 +1,250 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+test('Should parse and serialize messages with the json messageFormat', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { messageFormat: 'json' })
+
+  fastify.get('/', { websocket: true }, (connection) => {
+    connection.socket.on('message', (message, isBinary) => {
+      t.same(message, { hello: 'server' })
+      t.equal(isBinary, false)
+      connection.socket.send({ hello: 'client' })
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send(JSON.stringify({ hello: 'server' }))
+
+  const [message] = await once(ws, 'message')
+  t.same(JSON.parse(message), { hello: 'client' })
+  ws.terminate()
+})
+
+test('Should read and write objects on the connection stream with the json messageFormat', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', { websocket: true, messageFormat: 'json' }, (connection) => {
+    connection.once('data', chunk => {
+      t.same(chunk, [1, 2, 3])
+      connection.write({ sum: 6 })
+      connection.end({ bye: true })
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  const messages = []
+  ws.on('message', message => messages.push(JSON.parse(message)))
+  ws.send('[1,2,3]')
+
+  await once(ws, 'close')
+  t.same(messages[0], { sum: 6 })
+  t.same(messages[1], { bye: true })
+})
+
+test('Should read the same JSON scalars on the connection stream and the socket with the json messageFormat', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  const streamed = []
+  const emitted = []
+  fastify.get('/', { websocket: true, messageFormat: 'json' }, (connection) => {
+    connection.socket.on('message', message => emitted.push(message))
+    connection.on('data', chunk => {
+      streamed.push(chunk)
+      if (streamed.length === 4) {
+        connection.end()
+      }
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  for (const message of ['5', 'true', '"x"', '{"a":1}']) {
+    ws.send(message)
+  }
+
+  await once(ws, 'close')
+  t.strictSame(streamed, [5, true, 'x', { a: 1 }])
+  t.strictSame(emitted, [5, true, 'x', { a: 1 }])
+})
+
+test('Should stop reading the socket while the connection stream is not read with the json messageFormat', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { connectionOptions: { readableHighWaterMark: 2 } })
+
+  let connection
+  fastify.get('/', { websocket: true, messageFormat: 'json' }, (conn) => {
+    connection = conn
+  })
+
+  const ws = await fastify.injectWS('/')
+  t.teardown(() => ws.terminate())
+  for (let i = 1; i <= 4; i++) {
+    ws.send(String(i))
+  }
+  await new Promise(resolve => setTimeout(resolve, 20))
+  t.equal(connection.socket.isPaused, true)
+
+  const chunks = []
+  connection.on('data', chunk => chunks.push(chunk))
+  await new Promise(resolve => setTimeout(resolve, 20))
+  t.strictSame(chunks, [1, 2, 3, 4])
+  t.equal(connection.socket.isPaused, false)
+})
+
+test('Should send strings and buffers as they are with the json messageFormat', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { messageFormat: 'json' })
+
+  fastify.get('/', { websocket: true }, (connection) => {
+    connection.socket.send('{"already":"serialized"}')
+    connection.write(Buffer.from('{"a":"buffer"}'))
+    connection.end()
+  })
+
+  const ws = await fastify.injectWS('/')
+  const messages = []
+  ws.on('message', message => messages.push(message.toString()))
+
+  await once(ws, 'close')
+  t.equal(messages[0], '{"already":"serialized"}')
+  t.equal(messages[1], '{"a":"buffer"}')
+})
+
+test('Should handle malformed JSON with onInvalidMessage', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { messageFormat: 'json', onInvalidMessage: 'send' })
+
+  fastify.get('/', { websocket: true }, (connection) => {
+    connection.socket.on('message', message => {
+      t.same(message, { valid: true })
+      connection.socket.close()
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send('{"valid":')
+
+  const [error] = await once(ws, 'message')
+  t.equal(JSON.parse(error).error, 'Invalid message')
+
+  ws.send('{"valid":true}')
+  const [code] = await once(ws, 'close')
+  t.equal(code, 1005)
+})
+
+test('Should close the connection on malformed JSON by default', async (t) => {
+  t.plan(1)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', { websocket: true, messageFormat: 'json' }, (connection) => {
+    connection.socket.on('message', () => t.fail('malformed messages should not reach the handler'))
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send('nope')
+
+  const [code] = await once(ws, 'close')
+  t.equal(code, 1007)
+})
+
+test('Should decode messages as strings with the text messageFormat', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', { websocket: true, messageFormat: 'text' }, (connection) => {
+    connection.socket.once('message', message => {
+      t.equal(message, 'hello')
+    })
+    connection.once('data', chunk => {
+      t.equal(chunk, 'hello')
+      connection.write('hi')
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send(Buffer.from('hello'))
+
+  const [message] = await once(ws, 'message')
+  t.equal(message.toString(), 'hi')
+  ws.terminate()
+})
+
+test('Should let routes override the plugin messageFormat', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { messageFormat: 'json' })
+
+  fastify.get('/', { websocket: true, messageFormat: 'binary' }, (connection) => {
+    connection.socket.once('message', message => {
+      t.ok(Buffer.isBuffer(message))
+      t.equal(message.toString(), 'not json')
+      connection.socket.close()
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send('not json')
+  await once(ws, 'close')
+})
+
+test('Should fail on invalid messageFormat options', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await t.rejects(fastify.register(fastifyWebsocket, { messageFormat: 'xml' }), /invalid messageFormat option/)
+
+  const other = Fastify()
+  t.teardown(() => other.close())
+  await other.register(fastifyWebsocket)
+
+  t.throws(() => {
+    other.get('/', { websocket: true, messageFormat: 'xml' }, () => {})
+  }, /invalid messageFormat option/)
+
+  t.throws(() => {
+    other.get('/text', { websocket: true, messageFormat: 'text', schema: { message: { type: 'string' } } }, () => {})
+  }, /schema.message can only be used with the json messageFormat/)
+})
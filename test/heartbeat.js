@@ -0,0 +1,146 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+test('Should ping the clients and measure the latency', async (t) => {
+  t.plan(4)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { heartbeat: { interval: 10, timeout: 100 } })
+
+  let connection
+  fastify.get('/', { websocket: true }, (conn) => {
+    connection = conn
+    t.equal(connection.latency, null)
+  })
+
+  const ws = await fastify.injectWS('/')
+  t.teardown(() => ws.terminate())
+
+  await once(ws, 'ping')
+  await once(connection.socket, 'pong')
+  t.type(connection.latency, 'number')
+  t.ok(connection.latency >= 0)
+
+  // pongs that do not answer a ping are ignored
+  const latency = connection.latency
+  ws.pong()
+  await once(connection.socket, 'pong')
+  t.equal(connection.latency, latency)
+})
+
+test('Should terminate the connections that miss the pong deadline', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  let connection
+  fastify.get('/', { websocket: true, heartbeat: { interval: 10, timeout: 20 } }, (conn) => {
+    connection = conn
+  })
+
+  const ws = await fastify.injectWS('/')
+  t.teardown(() => ws.terminate())
+  // a paused client never reads the pings, so it never answers them
+  ws.pause()
+
+  const [code] = await once(connection.socket, 'close')
+  t.equal(code, 1006)
+  t.equal(connection.latency, null)
+})
+
+test('Should let routes disable the heartbeat', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { heartbeat: { interval: 5 } })
+
+  fastify.get('/', { websocket: true, heartbeat: false }, (connection) => {
+    t.equal(connection.latency, undefined)
+  })
+
+  const ws = await fastify.injectWS('/')
+  t.teardown(() => ws.terminate())
+  ws.on('ping', () => t.fail('should not be pinged'))
+  await sleep(30)
+  t.pass('no ping sent')
+})
+
+test('Should stop the heartbeat when closing the connection', async (t) => {
+  t.plan(1)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { heartbeat: { interval: 10 } })
+
+  fastify.get('/', { websocket: true }, (connection) => {
+    connection.socket.close()
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.on('ping', () => t.fail('should not be pinged once closed'))
+  await once(ws, 'close')
+  await sleep(30)
+  t.pass('no ping sent')
+})
+
+test('Should stop the heartbeat when fastify closes', async (t) => {
+  t.plan(1)
+
+  const fastify = Fastify()
+
+  await fastify.register(fastifyWebsocket, { heartbeat: { interval: 10, timeout: 40 } })
+
+  let connection
+  fastify.get('/', { websocket: true }, (conn) => {
+    connection = conn
+  })
+
+  const ws = await fastify.injectWS('/')
+  t.teardown(() => ws.terminate())
+  ws.pause()
+
+  // wait for a ping to be left unanswered, then close while its deadline is pending
+  await sleep(15)
+  connection.socket.terminate = () => t.fail('should not terminate the connection after the shutdown started')
+  const closed = fastify.close()
+  await sleep(60)
+  // let the client complete the closing handshake
+  ws.resume()
+  await closed
+  t.pass('heartbeat stopped')
+})
+
+test('Should fail on invalid heartbeat options', async (t) => {
+  t.plan(5)
+
+  for (const heartbeat of [null, { interval: 0 }, { interval: 10, timeout: 'soon' }]) {
+    const fastify = Fastify()
+    t.teardown(() => fastify.close())
+    await t.rejects(fastify.register(fastifyWebsocket, { heartbeat }), /invalid heartbeat option/)
+  }
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket)
+
+  t.throws(() => {
+    fastify.get('/', { websocket: true, heartbeat: true }, () => {})
+  }, /invalid heartbeat option/)
+  t.throws(() => {
+    fastify.get('/infinite', { websocket: true, heartbeat: { interval: Infinity } }, () => {})
+  }, /invalid heartbeat option/)
+})
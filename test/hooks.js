@@ -93,16 +93,17 @@ test('Should run onError hook before handler is executed (error thrown in onRequ
     fastify.addHook('onError', async (request, reply) => t.ok('called', 'onError'))
 
     fastify.get('/echo', { websocket: true }, (conn, request) => {
-      t.teardown(conn.destroy.bind(conn))
+      t.fail()
     })
   })
 
   fastify.listen({ port: 0 }, function (err) {
     t.error(err)
     const ws = new WebSocket('ws://localhost:' + (fastify.server.address()).port + '/echo')
-    const client = WebSocket.createWebSocketStream(ws, { encoding: 'utf8' })
-    t.teardown(client.destroy.bind(client))
-    ws.on('close', code => t.equal(code, 1006))
+    ws.on('unexpected-response', (req, res) => {
+      t.equal(res.statusCode, 500)
+      req.destroy()
+    })
   })
 })
 
@@ -130,9 +131,116 @@ test('Should run onError hook before handler is executed (error thrown in preVal
   fastify.listen({ port: 0 }, function (err) {
     t.error(err)
     const ws = new WebSocket('ws://localhost:' + (fastify.server.address()).port + '/echo')
-    const client = WebSocket.createWebSocketStream(ws, { encoding: 'utf8' })
-    t.teardown(client.destroy.bind(client))
-    ws.on('close', code => t.equal(code, 1006))
+    ws.on('unexpected-response', (req, res) => {
+      t.equal(res.statusCode, 500)
+      req.destroy()
+    })
+  })
+})
+
+test('Should send the error response produced by the error handler instead of upgrading', t => {
+  t.plan(5)
+  const fastify = Fastify()
+
+  t.teardown(() => fastify.close())
+
+  fastify.register(fastifyWebsocket)
+
+  fastify.register(async function (fastify) {
+    fastify.addHook('preValidation', async (request, reply) => {
+      const error = new Error('not authenticated')
+      error.statusCode = 401
+      throw error
+    })
+
+    fastify.setErrorHandler((error, request, reply) => {
+      reply.code(error.statusCode).header('x-error', 'custom').send({ message: error.message })
+    })
+
+    fastify.get('/echo', { websocket: true }, (conn, request) => {
+      t.fail()
+    })
+  })
+
+  fastify.listen({ port: 0 }, function (err) {
+    t.error(err)
+    const ws = new WebSocket('ws://localhost:' + (fastify.server.address()).port + '/echo')
+    ws.on('unexpected-response', (req, res) => {
+      t.equal(res.statusCode, 401)
+      t.equal(res.headers['x-error'], 'custom')
+      t.equal(res.headers.connection, 'close')
+
+      let body = ''
+      res.setEncoding('utf8')
+      res.on('data', chunk => { body += chunk })
+      res.on('end', () => {
+        t.same(JSON.parse(body), { message: 'not authenticated' })
+        req.destroy()
+      })
+    })
+  })
+})
+
+test('Should reject schema validation errors with a 400 response', async t => {
+  t.plan(2)
+  const fastify = Fastify()
+
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/echo', {
+    websocket: true,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: { token: { type: 'string' } },
+        required: ['token']
+      }
+    }
+  }, (conn, request) => {
+    t.fail()
+  })
+
+  try {
+    await fastify.injectWS('/echo')
+  } catch (err) {
+    t.equal(err.statusCode, 400)
+    t.match(JSON.parse(err.payload).message, /token/)
+  }
+})
+
+test('Should upgrade and run the errorHandler on errors before the handler when upgradeOnError is set', t => {
+  t.plan(4)
+  const fastify = Fastify()
+
+  t.teardown(() => fastify.close())
+
+  fastify.register(fastifyWebsocket, {
+    upgradeOnError: true,
+    errorHandler: function (error, conn) {
+      t.equal(error.message, 'Fail')
+      conn.socket.close(4000)
+    }
+  })
+
+  fastify.register(async function (fastify) {
+    fastify.addHook('preValidation', async (request, reply) => {
+      await Promise.resolve()
+      throw new Error('Fail')
+    })
+
+    fastify.addHook('onError', async (request, reply) => t.ok('called', 'onError'))
+
+    fastify.get('/echo', { websocket: true }, (conn, request) => {
+      t.fail()
+    })
+  })
+
+  fastify.listen({ port: 0 }, function (err) {
+    t.error(err)
+    const ws = new WebSocket('ws://localhost:' + (fastify.server.address()).port + '/echo')
+    ws.on('close', code => t.equal(code, 4000))
   })
 })
 
@@ -163,9 +271,10 @@ test('onError hooks can send a reply and prevent hijacking', t => {
   fastify.listen({ port: 0 }, function (err) {
     t.error(err)
     const ws = new WebSocket('ws://localhost:' + (fastify.server.address()).port + '/echo')
-    const client = WebSocket.createWebSocketStream(ws, { encoding: 'utf8' })
-    t.teardown(client.destroy.bind(client))
-    ws.on('close', code => t.equal(code, 1006))
+    ws.on('unexpected-response', (req, res) => {
+      t.equal(res.statusCode, 404)
+      req.destroy()
+    })
   })
 })
 
@@ -0,0 +1,114 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+test('Should inject a websocket connection without listening', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/echo', { websocket: true }, (connection, request) => {
+    t.equal(request.ws, true)
+    connection.socket.on('message', message => {
+      connection.socket.send('echo ' + message)
+    })
+  })
+
+  const ws = await fastify.injectWS('/echo')
+  t.equal(fastify.server.listening, false)
+
+  ws.send('hello')
+  const [message] = await once(ws, 'message')
+  t.equal(message.toString(), 'echo hello')
+  ws.terminate()
+})
+
+test('Should pass headers and query to the handshake request', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', { websocket: true }, (connection, request) => {
+    t.equal(request.headers['x-custom-header'], 'fastify is awesome !')
+    t.same(request.query, { foo: 'bar', baz: '1' })
+    connection.socket.close()
+  })
+
+  const ws = await fastify.injectWS('/?foo=bar', {
+    headers: { 'x-custom-header': 'fastify is awesome !' },
+    query: { baz: 1 }
+  })
+  await once(ws, 'close')
+})
+
+test('Should run route hooks on injected connections', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+  await fastify.register(async function (fastify) {
+    fastify.addHook('onRequest', async (request) => {
+      t.equal(request.ws, true)
+    })
+
+    fastify.get('/', { websocket: true }, (connection) => {
+      connection.socket.close(4000)
+    })
+  })
+
+  const ws = await fastify.injectWS()
+  const [code] = await once(ws, 'close')
+  t.equal(code, 4000)
+})
+
+test('Should reject with the HTTP response when a hook replies', async (t) => {
+  t.plan(4)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+  await fastify.register(async function (fastify) {
+    fastify.addHook('preValidation', async (request, reply) => {
+      await reply.code(401).send({ error: 'not authenticated' })
+    })
+
+    fastify.get('/', { websocket: true }, () => {
+      t.fail('handler should not be called')
+    })
+  })
+
+  try {
+    await fastify.injectWS('/', { query: 'token=invalid' })
+    t.fail('should not upgrade')
+  } catch (err) {
+    t.equal(err.message, 'Unexpected server response: 401')
+    t.equal(err.statusCode, 401)
+    t.match(err.headers['content-type'], /application\/json/)
+    t.same(JSON.parse(err.payload), { error: 'not authenticated' })
+  }
+})
+
+test('Should close injected connections to paths without a websocket handler', async (t) => {
+  t.plan(1)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  const ws = await fastify.injectWS('/unknown')
+  const [code] = await once(ws, 'close')
+  t.equal(code, 1005)
+})
@@ -0,0 +1,119 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+function loggedFastify (logs) {
+  return Fastify({
+    logger: {
+      level: 'debug',
+      stream: { write: line => logs.push(JSON.parse(line)) }
+    }
+  })
+}
+
+test('Should give every connection an id and a logger bound to it', async (t) => {
+  t.plan(11)
+
+  const logs = []
+  const fastify = loggedFastify(logs)
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  const ids = []
+  fastify.get('/chat/:room', { websocket: true, protocols: ['chat.v1'] }, (connection) => {
+    ids.push(connection.id)
+    connection.log.info('joined')
+  })
+
+  await fastify.injectWS('/chat/lobby', { protocols: 'chat.v1' })
+  await fastify.injectWS('/chat/lobby', { protocols: 'chat.v1' })
+
+  t.equal(ids.length, 2)
+  t.not(ids[0], ids[1])
+
+  const joined = logs.filter(log => log.msg === 'joined')
+  t.equal(joined.length, 2)
+  t.equal(joined[0].connectionId, ids[0])
+  t.equal(joined[0].route, '/chat/:room')
+  t.equal(joined[0].protocol, 'chat.v1')
+  t.ok('remoteAddress' in joined[0])
+  // the request id of the handshake is kept
+  t.ok(joined[0].reqId)
+  t.not(joined[0].reqId, joined[1].reqId)
+
+  // the connections without handler are logged with their own id too
+  await fastify.injectWS('/missing').then(ws => once(ws, 'close'))
+  const missing = logs.find(log => log.msg === 'closed incoming websocket connection for path with no websocket handler')
+  t.equal(missing.path, '/missing')
+  t.type(missing.connectionId, 'string')
+})
+
+test('Should log the opening and the closing of the connections', async (t) => {
+  t.plan(12)
+
+  const logs = []
+  const fastify = loggedFastify(logs)
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { logConnections: true })
+
+  fastify.get('/echo', { websocket: true }, (connection) => {
+    connection.pipe(connection)
+  })
+  fastify.get('/quiet', { websocket: true, logConnections: { connect: false, close: 'debug' } }, () => {})
+  fastify.get('/silent', { websocket: true, logConnections: false }, () => {})
+
+  const ws = await fastify.injectWS('/echo')
+  ws.send('hello')
+  await once(ws, 'message')
+  ws.close(4000, 'bye')
+  await once(ws, 'close')
+
+  const quiet = await fastify.injectWS('/quiet')
+  quiet.close()
+  await once(quiet, 'close')
+
+  const silent = await fastify.injectWS('/silent')
+  silent.close()
+  await once(silent, 'close')
+  await new Promise(resolve => setImmediate(resolve))
+
+  const opened = logs.filter(log => log.msg === 'websocket connection opened')
+  t.equal(opened.length, 1)
+  t.equal(opened[0].level, 30)
+  t.equal(opened[0].route, '/echo')
+
+  const closed = logs.filter(log => log.msg === 'websocket connection closed')
+  t.equal(closed.length, 2)
+  t.equal(closed[0].level, 30)
+  t.equal(closed[0].connectionId, opened[0].connectionId)
+  t.equal(closed[0].code, 4000)
+  t.equal(closed[0].reason, 'bye')
+  t.same(closed[0].messages, { in: 1, out: 1 })
+  t.type(closed[0].duration, 'number')
+
+  t.equal(closed[1].level, 20)
+  t.equal(closed[1].route, '/quiet')
+})
+
+test('Should fail on invalid logConnections options', async (t) => {
+  t.plan(4)
+
+  for (const logConnections of [null, 'info', { connect: 'verbose' }]) {
+    const fastify = Fastify()
+    t.teardown(() => fastify.close())
+    await t.rejects(fastify.register(fastifyWebsocket, { logConnections }), /invalid logConnections option/)
+  }
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket)
+
+  t.throws(() => {
+    fastify.get('/', { websocket: true, logConnections: { close: true } }, () => {})
+  }, /invalid logConnections option/)
+})
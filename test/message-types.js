@@ -0,0 +1,182 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+test('Should dispatch the messages to the handler of their type', async (t) => {
+  t.plan(8)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/chat', {
+    websocket: true,
+    messages: {
+      join: {
+        schema: {
+          type: 'object',
+          properties: { room: { type: 'string' } },
+          required: ['room']
+        },
+        handler (message, connection, request) {
+          t.equal(this, fastify)
+          t.equal(request.url, '/chat')
+          connection.join(message.room)
+          connection.socket.send({ joined: message.room })
+        }
+      },
+      leave: async (message, connection) => {
+        connection.leave(message.room)
+        connection.socket.send({ left: message.room })
+      }
+    }
+  }, (connection) => {
+    // the dispatched messages are consumed by their handler
+    connection.socket.on('message', () => t.fail('message not consumed'))
+  })
+
+  const ws = await fastify.injectWS('/chat')
+  ws.send(JSON.stringify({ type: 'join', room: 'lobby' }))
+  const [joined] = await once(ws, 'message')
+  t.same(JSON.parse(joined), { joined: 'lobby' })
+  t.same(fastify.websocketTopics(), ['lobby'])
+
+  ws.send(JSON.stringify({ type: 'leave', room: 'lobby' }))
+  const [left] = await once(ws, 'message')
+  t.same(JSON.parse(left), { left: 'lobby' })
+  t.same(fastify.websocketTopics(), [])
+
+  // invalid messages of a type are handled like the other invalid messages
+  ws.send(JSON.stringify({ type: 'join' }))
+  const [code, reason] = await once(ws, 'close')
+  t.equal(code, 1008)
+  t.equal(reason.toString(), 'Invalid message')
+})
+
+test('Should read the type from the messageTypeKey field and fall back to onUnknownMessage', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  // the messages are dispatched once they went through the hooks
+  fastify.addHook('onWsMessage', async (connection, message) => {
+    return Object.assign({}, message, { op: message.op.toLowerCase() })
+  })
+
+  fastify.get('/', {
+    websocket: true,
+    messageTypeKey: 'op',
+    messages: {
+      ping: (message, connection) => connection.socket.send({ op: 'pong' })
+    },
+    onUnknownMessage (message, connection) {
+      t.equal(this, fastify)
+      connection.socket.send({ op: 'error', unknown: message.op })
+    }
+  }, () => {})
+
+  const ws = await fastify.injectWS('/')
+  ws.send(JSON.stringify({ op: 'PING' }))
+  const [pong] = await once(ws, 'message')
+  t.same(JSON.parse(pong), { op: 'pong' })
+
+  ws.send(JSON.stringify({ type: 'ping', op: 'subscribe' }))
+  const [error] = await once(ws, 'message')
+  t.same(JSON.parse(error), { op: 'error', unknown: 'subscribe' })
+})
+
+test('Should handle the messages of unknown types as invalid messages', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { onInvalidMessage: 'send' })
+
+  fastify.get('/', {
+    websocket: true,
+    messages: {
+      ping: (message, connection) => connection.socket.send({ type: 'pong' })
+    }
+  }, () => {})
+
+  const ws = await fastify.injectWS('/')
+  ws.send(JSON.stringify({ type: 'unknown' }))
+  const [unknown] = await once(ws, 'message')
+  t.same(JSON.parse(unknown), { error: 'Invalid message', message: 'unknown message type' })
+
+  ws.send('42')
+  const [scalar] = await once(ws, 'message')
+  t.same(JSON.parse(scalar), { error: 'Invalid message', message: 'unknown message type' })
+
+  ws.send(JSON.stringify({ type: 'ping' }))
+  const [pong] = await once(ws, 'message')
+  t.same(JSON.parse(pong), { type: 'pong' })
+})
+
+test('Should pass the errors of the message handlers to the errorHandler', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  const errors = []
+  await fastify.register(fastifyWebsocket, {
+    errorHandler: (error, connection) => {
+      errors.push(error.message)
+      if (errors.length === 2) {
+        connection.socket.close(1011)
+      }
+    }
+  })
+
+  fastify.get('/', {
+    websocket: true,
+    messages: {
+      sync: () => {
+        throw new Error('sync failure')
+      },
+      async: async () => {
+        throw new Error('async failure')
+      }
+    }
+  }, () => {})
+
+  const ws = await fastify.injectWS('/')
+  ws.send(JSON.stringify({ type: 'sync' }))
+  ws.send(JSON.stringify({ type: 'async' }))
+  const [code] = await once(ws, 'close')
+  t.equal(code, 1011)
+  t.equal(errors[0], 'sync failure')
+  t.equal(errors[1], 'async failure')
+})
+
+test('Should fail on invalid message types options', async (t) => {
+  t.plan(7)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket)
+
+  for (const messages of [null, {}, { join: 'handler' }, { join: { schema: {} } }]) {
+    t.throws(() => {
+      fastify.get('/', { websocket: true, messages }, () => {})
+    }, /invalid messages option/)
+  }
+  t.throws(() => {
+    fastify.get('/', { websocket: true, messages: { join: () => {} }, messageTypeKey: 1 }, () => {})
+  }, /invalid messageTypeKey option/)
+  t.throws(() => {
+    fastify.get('/', { websocket: true, messages: { join: () => {} }, onUnknownMessage: 'close' }, () => {})
+  }, /invalid onUnknownMessage function/)
+  t.throws(() => {
+    fastify.get('/', { websocket: true, messages: { join: () => {} }, messageFormat: 'text' }, () => {})
+  }, /messages can only be used with the json messageFormat/)
+})
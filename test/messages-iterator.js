@@ -0,0 +1,197 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+const WebSocket = require('ws')
+const { setTimeout: sleep } = require('timers/promises')
+
+test('Should buffer the messages received before the handler iterates over them', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', { websocket: true, messageBuffer: true, messageFormat: 'json' }, async (connection) => {
+    await sleep(50)
+    for await (const message of connection.messages()) {
+      connection.send({ echo: message })
+    }
+  })
+
+  const ws = await fastify.injectWS('/')
+  const echoes = []
+  ws.on('message', data => echoes.push(JSON.parse(data)))
+  ws.send(JSON.stringify({ n: 1 }))
+  ws.send(JSON.stringify({ n: 2 }))
+  ws.send(JSON.stringify({ n: 3 }))
+
+  await once(ws, 'message')
+  t.same(echoes, [{ echo: { n: 1 } }])
+  while (echoes.length < 3) {
+    await once(ws, 'message')
+  }
+  t.same(echoes, [{ echo: { n: 1 } }, { echo: { n: 2 } }, { echo: { n: 3 } }])
+})
+
+test('Should pause the socket while the buffer is full', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  let connection
+  let received = 0
+  const full = new Promise(resolve => {
+    fastify.get('/', { websocket: true, messageBuffer: { limit: 2 } }, (conn) => {
+      connection = conn
+      connection.socket.on('message', () => {
+        if (++received === 2) {
+          resolve()
+        }
+      })
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  for (let i = 1; i <= 5; i++) {
+    ws.send(`message ${i}`)
+  }
+  await full
+  t.equal(connection.socket.isPaused, true)
+
+  const messages = []
+  for await (const message of connection.messages()) {
+    messages.push(message.toString())
+    if (messages.length === 5) {
+      break
+    }
+  }
+  t.same(messages, ['message 1', 'message 2', 'message 3', 'message 4', 'message 5'])
+  t.equal(connection.socket.isPaused, false)
+})
+
+test('Should keep the messages for the next loop and end the iteration once the connection closes', async (t) => {
+  t.plan(5)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  let streamData = false
+  const handled = new Promise(resolve => {
+    fastify.get('/', { websocket: true, messageBuffer: true, messageFormat: 'text' }, async (connection) => {
+      connection.on('data', () => { streamData = true })
+      const iterator = connection.messages()
+      const { value: first } = await iterator.next()
+      await iterator.return()
+      const rest = []
+      for await (const message of connection.messages()) {
+        rest.push(message)
+      }
+      resolve({ first, rest, connection })
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send('one')
+  ws.send('two')
+  ws.send('three')
+  await sleep(20)
+  ws.close()
+
+  const { first, rest, connection } = await handled
+  t.equal(first, 'one')
+  t.same(rest, ['two', 'three'])
+  // the messages are not pushed to the connection stream
+  t.equal(streamData, false)
+
+  t.same(await connection.messages().next(), { value: undefined, done: true })
+  const iterator = connection.messages()
+  await iterator.return()
+  t.same(await iterator.next(), { value: undefined, done: true })
+})
+
+test('Should fail to iterate over the messages of the routes without a message buffer', async (t) => {
+  t.plan(1)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  const failed = new Promise(resolve => {
+    fastify.get('/', { websocket: true }, (connection) => {
+      try {
+        connection.messages()
+      } catch (err) {
+        resolve(err)
+      }
+    })
+  })
+
+  await fastify.injectWS('/')
+  t.match((await failed).message, /connection.messages\(\) requires the messageBuffer option of the route/)
+})
+
+test('Should fail on invalid messageBuffer options', async (t) => {
+  t.plan(6)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket)
+
+  for (const messageBuffer of [null, 'yes', { limit: 0 }, { limit: 1.5 }]) {
+    t.throws(() => {
+      fastify.get('/', { websocket: true, messageBuffer }, () => {})
+    }, /invalid messageBuffer option/)
+  }
+  t.doesNotThrow(() => {
+    fastify.get('/', { websocket: true, messageBuffer: false }, () => {})
+  })
+  t.doesNotThrow(() => {
+    fastify.get('/default', { websocket: true, messageBuffer: {} }, () => {})
+  })
+})
+
+test('Should not terminate the connections paused by a full buffer for missing the pongs', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  let connection
+  fastify.get('/', { websocket: true, messageBuffer: { limit: 1 }, heartbeat: { interval: 20, timeout: 50 } }, async (conn) => {
+    connection = conn
+    await sleep(200)
+    for await (const message of conn.messages()) {
+      conn.socket.send(message)
+    }
+  })
+
+  const ws = await fastify.injectWS('/')
+  t.teardown(() => ws.terminate())
+  // leave the first ping unanswered until the buffer is full
+  ws.pause()
+  await sleep(30)
+  ws.send('one')
+  ws.send('two')
+  ws.send('three')
+  ws.resume()
+
+  const messages = []
+  ws.on('message', message => messages.push(message.toString()))
+  for (let i = 0; i < 3; i++) {
+    await once(ws, 'message')
+  }
+  t.same(messages, ['one', 'two', 'three'])
+  t.equal(connection.socket.readyState, WebSocket.OPEN)
+})
@@ -0,0 +1,173 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+test('Should count the connections and the messages of each route', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/echo', { websocket: true }, (connection) => {
+    connection.pipe(connection)
+  })
+  fastify.get('/json', { websocket: true, messageFormat: 'json' }, (connection) => {
+    connection.on('data', message => {
+      connection.socket.send({ received: message.text })
+      connection.socket.send(42)
+    })
+  })
+
+  const echo = await fastify.injectWS('/echo')
+  echo.send('hello')
+  await once(echo, 'message')
+
+  const json = await fastify.injectWS('/json')
+  json.send(JSON.stringify({ text: 'hi' }))
+  await once(json, 'message')
+  await once(json, 'message')
+  json.close(4000)
+  await once(json, 'close')
+  await new Promise(resolve => setImmediate(resolve))
+
+  const metrics = fastify.websocketMetrics()
+  t.same(metrics.routes, {
+    '/echo': { connections: 1, messages: { in: 1, out: 1 }, bytes: { in: 5, out: 5 }, errors: 0 },
+    // the serialized frames are counted
+    '/json': { connections: 0, messages: { in: 1, out: 2 }, bytes: { in: 13, out: 19 }, errors: 0 }
+  })
+  t.same(metrics.handshakes, { accepted: 2, rejected: {} })
+  t.same(metrics.closeCodes, { 4000: 1 })
+})
+
+test('Should count the rejected handshakes and the handler errors', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, {
+    allowedOrigins: 'https://app.example.com',
+    errorHandler: (_, connection) => {
+      connection.socket.close(1011)
+    }
+  })
+
+  fastify.get('/', { websocket: true }, () => {
+    throw new Error('handler failed')
+  })
+  fastify.get('/http', (request, reply) => {
+    reply.send('http')
+  })
+
+  const thrown = await fastify.injectWS('/')
+  await once(thrown, 'close')
+  await fastify.injectWS('/', { headers: { origin: 'https://evil.example.com' } }).catch(err => err)
+  await fastify.injectWS('/http').then(ws => once(ws, 'close'))
+  await fastify.injectWS('/missing').then(ws => once(ws, 'close'))
+
+  const metrics = fastify.websocketMetrics()
+  t.same(metrics.handshakes, { accepted: 1, rejected: { 403: 1, no_handler: 2 } })
+  t.equal(metrics.routes['/'].errors, 1)
+})
+
+test('Should count the handshakes rejected during the shutdown and on errors', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+
+  await fastify.register(fastifyWebsocket, {
+    upgradeOnError: true,
+    errorHandler: (_, connection) => {
+      connection.socket.close(4001)
+    }
+  })
+
+  fastify.get('/', {
+    websocket: true,
+    preValidation: async () => {
+      throw new Error('unauthorized')
+    }
+  }, () => {})
+  fastify.get('/late', {
+    websocket: true,
+    onShutdown: async () => {
+      const late = await fastify.injectWS('/')
+      await once(late, 'close')
+    }
+  }, () => {})
+
+  const ws = await fastify.injectWS('/')
+  const [code] = await once(ws, 'close')
+  t.equal(code, 4001)
+
+  await fastify.injectWS('/late')
+  await fastify.close()
+  t.same(fastify.websocketMetrics().handshakes.rejected, { error: 1, shutdown: 1 })
+})
+
+test('Should expose the metrics in the Prometheus text format', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { metrics: { url: '/metrics', prefix: 'app_ws_' } })
+
+  fastify.get('/chat/"quoted"\\', { websocket: true }, (connection) => {
+    connection.socket.send(Buffer.from('hi'))
+  })
+
+  // the quotes and the backslash of the route are escaped in the labels
+  const ws = await fastify.injectWS('/chat/%22quoted%22%5C')
+  await once(ws, 'message')
+  const closed = await fastify.injectWS('/chat/%22quoted%22%5C')
+  await once(closed, 'message')
+  closed.close(1000)
+  await once(closed, 'close')
+  await new Promise(resolve => setImmediate(resolve))
+  await fastify.injectWS('/missing').then(ws => once(ws, 'close'))
+
+  const response = await fastify.inject({ method: 'GET', url: '/metrics' })
+  t.equal(response.statusCode, 200)
+  t.equal(response.headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8')
+  t.equal(response.payload, [
+    '# HELP app_ws_connections Websocket connections currently open.',
+    '# TYPE app_ws_connections gauge',
+    'app_ws_connections{route="/chat/\\"quoted\\"\\\\"} 1',
+    '# HELP app_ws_handshakes_total Websocket handshakes, by result and rejection reason.',
+    '# TYPE app_ws_handshakes_total counter',
+    'app_ws_handshakes_total{result="accepted"} 2',
+    'app_ws_handshakes_total{result="rejected",reason="no_handler"} 1',
+    '# HELP app_ws_messages_total Websocket messages received and sent.',
+    '# TYPE app_ws_messages_total counter',
+    'app_ws_messages_total{route="/chat/\\"quoted\\"\\\\",direction="in"} 0',
+    'app_ws_messages_total{route="/chat/\\"quoted\\"\\\\",direction="out"} 2',
+    '# HELP app_ws_bytes_total Websocket message bytes received and sent.',
+    '# TYPE app_ws_bytes_total counter',
+    'app_ws_bytes_total{route="/chat/\\"quoted\\"\\\\",direction="in"} 0',
+    'app_ws_bytes_total{route="/chat/\\"quoted\\"\\\\",direction="out"} 4',
+    '# HELP app_ws_closes_total Websocket connections closed, by close code.',
+    '# TYPE app_ws_closes_total counter',
+    'app_ws_closes_total{code="1000"} 1',
+    '# HELP app_ws_errors_total Errors of the websocket handlers.',
+    '# TYPE app_ws_errors_total counter',
+    'app_ws_errors_total{route="/chat/\\"quoted\\"\\\\"} 0',
+    ''
+  ].join('\n'))
+})
+
+test('Should fail on invalid metrics options', async (t) => {
+  t.plan(4)
+
+  for (const metrics of [null, { url: 'metrics' }, { prefix: 'ws-' }, 'enabled']) {
+    const fastify = Fastify()
+    t.teardown(() => fastify.close())
+    await t.rejects(fastify.register(fastifyWebsocket, { metrics }), /invalid metrics option/)
+  }
+})
@@ -0,0 +1,181 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+
+function connect (fastify, path, upgradeContext) {
+  return fastify.injectWS(path, upgradeContext).then(ws => {
+    ws.terminate()
+    return ws
+  })
+}
+
+test('Should only upgrade the handshakes from the allowed origins', async (t) => {
+  t.plan(8)
+
+  const logs = []
+  const fastify = Fastify({
+    logger: {
+      level: 'warn',
+      stream: { write: line => logs.push(JSON.parse(line)) }
+    }
+  })
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, {
+    allowedOrigins: ['https://app.example.com', /^https:\/\/[a-z]+\.example\.org$/]
+  })
+
+  fastify.get('/', { websocket: true }, () => {})
+  fastify.get('/http', (request, reply) => {
+    reply.send('http')
+  })
+
+  await connect(fastify, '/', { headers: { origin: 'https://app.example.com' } })
+  await connect(fastify, '/', { headers: { origin: 'https://docs.example.org' } })
+  // clients other than browsers do not send an Origin header
+  await connect(fastify, '/')
+
+  const error = await connect(fastify, '/', { headers: { origin: 'https://evil.example.com' } }).catch(err => err)
+  t.equal(error.statusCode, 403)
+  t.equal(JSON.parse(error.payload).message, 'Origin not allowed')
+  t.equal(logs[0].msg, 'websocket handshake rejected, origin not allowed')
+  t.equal(logs[0].origin, 'https://evil.example.com')
+  t.ok(logs[0].reqId)
+
+  const suffix = await connect(fastify, '/', { headers: { origin: 'https://docs.example.org.evil.com' } }).catch(err => err)
+  t.equal(suffix.statusCode, 403)
+
+  // plain HTTP requests are left to CORS
+  const response = await fastify.inject({ method: 'GET', url: '/http', headers: { origin: 'https://evil.example.com' } })
+  t.equal(response.statusCode, 200)
+  t.equal(response.payload, 'http')
+})
+
+test('Should let a route override the allowed origins with a function', async (t) => {
+  t.plan(6)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { allowedOrigins: 'https://app.example.com' })
+
+  fastify.get('/', {
+    websocket: true,
+    allowedOrigins: async (origin, request) => {
+      t.equal(request.url, '/')
+      return origin === 'https://partner.example.com'
+    },
+    onRequest: (request, reply, done) => {
+      t.pass('runs after the origin check')
+      done()
+    }
+  }, () => {})
+
+  await connect(fastify, '/', { headers: { origin: 'https://partner.example.com' } })
+  const error = await connect(fastify, '/', { headers: { origin: 'https://app.example.com' } }).catch(err => err)
+  t.equal(error.statusCode, 403)
+  // functions also decide for the handshakes without an Origin header
+  const missing = await connect(fastify, '/').catch(err => err)
+  t.equal(missing.statusCode, 403)
+})
+
+test('Should verify the CSRF token of the handshake', async (t) => {
+  t.plan(11)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, {
+    csrf: {
+      verify: async (token, request) => {
+        t.ok(request.ws)
+        return token === 'secret'
+      }
+    }
+  })
+
+  fastify.get('/', { websocket: true }, () => {})
+  fastify.get('/public', { websocket: true, csrf: false }, () => {})
+
+  await connect(fastify, '/', { query: { csrf_token: 'secret' } })
+
+  // the subprotocol carrying the token is not selected, unless it is the only one offered
+  const ws = await connect(fastify, '/', { protocols: ['csrf-token.secret', 'chat'] })
+  t.equal(ws.protocol, 'chat')
+  const only = await connect(fastify, '/', { protocols: ['csrf-token.secret'] })
+  t.equal(only.protocol, 'csrf-token.secret')
+
+  const invalid = await connect(fastify, '/', { query: { csrf_token: 'guess' } }).catch(err => err)
+  t.equal(invalid.statusCode, 403)
+  t.equal(JSON.parse(invalid.payload).message, 'Invalid CSRF token')
+
+  const missing = await connect(fastify, '/').catch(err => err)
+  t.equal(missing.statusCode, 403)
+
+  await connect(fastify, '/public')
+  t.pass('the token is not required when the route opts out')
+
+  // plain HTTP requests are not checked
+  const response = await fastify.inject({ method: 'GET', url: '/' })
+  t.equal(response.statusCode, 404)
+})
+
+test('Should read the CSRF token from the configured sources', async (t) => {
+  t.plan(5)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', {
+    websocket: true,
+    protocols: ['graphql-transport-ws'],
+    csrf: { verify: token => token === 'secret', query: false, protocolPrefix: 'token.' }
+  }, () => {})
+  fastify.get('/query', {
+    websocket: true,
+    csrf: { verify: token => token === 'secret', protocolPrefix: false }
+  }, () => {})
+
+  const ws = await connect(fastify, '/', { protocols: ['token.secret', 'graphql-transport-ws'] })
+  t.equal(ws.protocol, 'graphql-transport-ws')
+
+  const query = await connect(fastify, '/', { query: { csrf_token: 'secret' }, protocols: ['graphql-transport-ws'] }).catch(err => err)
+  t.equal(query.statusCode, 403)
+
+  const prefix = await connect(fastify, '/', { protocols: ['csrf-token.secret', 'graphql-transport-ws'] }).catch(err => err)
+  t.equal(prefix.statusCode, 403)
+
+  const queryOnly = await connect(fastify, '/query', { protocols: ['csrf-token.secret'] }).catch(err => err)
+  t.equal(queryOnly.statusCode, 403)
+  const noPrefix = await connect(fastify, '/query', { query: { csrf_token: 'secret' }, protocols: ['csrf-token.secret'] })
+  // without a prefix, the subprotocol is a regular one
+  t.equal(noPrefix.protocol, 'csrf-token.secret')
+})
+
+test('Should fail on invalid allowedOrigins and csrf options', async (t) => {
+  t.plan(6)
+
+  for (const options of [{ allowedOrigins: [] }, { allowedOrigins: [42] }, { csrf: { query: 'token' } }]) {
+    const fastify = Fastify()
+    t.teardown(() => fastify.close())
+    await t.rejects(fastify.register(fastifyWebsocket, options), /invalid (allowedOrigins|csrf) option/)
+  }
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket)
+
+  t.throws(() => {
+    fastify.get('/', { websocket: true, allowedOrigins: {} }, () => {})
+  }, /invalid allowedOrigins option/)
+  t.throws(() => {
+    fastify.get('/', { websocket: true, csrf: null }, () => {})
+  }, /invalid csrf option/)
+  t.throws(() => {
+    fastify.get('/', { websocket: true, csrf: { verify: () => true, protocolPrefix: '' } }, () => {})
+  }, /invalid csrf option/)
+})
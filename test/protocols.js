@@ -0,0 +1,155 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+async function buildServer (t) {
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', { websocket: true, protocols: ['graphql-transport-ws'] }, (connection) => {
+    connection.socket.send('graphql')
+  })
+  fastify.get('/', { websocket: true, protocols: ['legacy.v1', 'legacy.v2'] }, (connection) => {
+    connection.socket.send('legacy')
+  })
+
+  fastify.connect = async function (protocols) {
+    const ws = await fastify.injectWS('/', { protocols })
+    const [message] = await once(ws, 'message')
+    ws.terminate()
+    return { protocol: ws.protocol, handler: message.toString() }
+  }
+
+  return fastify
+}
+
+test('Should select the route by the subprotocols offered by the client', async (t) => {
+  t.plan(3)
+
+  const fastify = await buildServer(t)
+
+  t.same(await fastify.connect(['graphql-transport-ws']), { protocol: 'graphql-transport-ws', handler: 'graphql' })
+  t.same(await fastify.connect(['legacy.v2', 'legacy.v1']), { protocol: 'legacy.v2', handler: 'legacy' })
+  // the client order of preference wins
+  t.same(await fastify.connect(['unknown', 'legacy.v1', 'graphql-transport-ws']), { protocol: 'legacy.v1', handler: 'legacy' })
+})
+
+test('Should reject the upgrade when no route accepts the offered subprotocols', async (t) => {
+  t.plan(4)
+
+  const fastify = await buildServer(t)
+
+  const error = await fastify.injectWS('/', { protocols: ['mqtt'] }).catch(err => err)
+  t.equal(error.statusCode, 400)
+  t.match(JSON.parse(error.payload).message, /Unsupported websocket subprotocol, expected one of: (graphql-transport-ws|legacy.v1, legacy.v2)/)
+
+  const missing = await fastify.injectWS('/').catch(err => err)
+  t.equal(missing.statusCode, 400)
+
+  // plain HTTP requests never reach the routes declaring protocols
+  const response = await fastify.inject({ method: 'GET', url: '/' })
+  t.equal(response.statusCode, 404)
+})
+
+test('Should let HTTP routes and websocket routes without protocols share the path', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', (request, reply) => {
+    reply.send('http')
+  })
+  fastify.get('/', { websocket: true, protocols: ['chat'] }, (connection) => {
+    connection.socket.close()
+  })
+  fastify.get('/any', { websocket: true }, (connection) => {
+    connection.socket.close()
+  })
+
+  const response = await fastify.inject({ method: 'GET', url: '/' })
+  t.equal(response.payload, 'http')
+
+  const ws = await fastify.injectWS('/', { protocols: 'chat' })
+  t.equal(ws.protocol, 'chat')
+  ws.terminate()
+
+  // routes without protocols accept any offer, the first subprotocol is selected
+  const any = await fastify.injectWS('/any', { protocols: ['first', 'second'] })
+  t.equal(any.protocol, 'first')
+  any.terminate()
+})
+
+test('Should route the upgrades no route with protocols accepts to the websocket route without them', async (t) => {
+  t.plan(4)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', { websocket: true }, (connection) => {
+    connection.socket.send('default')
+  })
+  fastify.get('/', { websocket: true, protocols: ['chat'] }, (connection) => {
+    connection.socket.send('chat')
+  })
+
+  const connect = async (protocols) => {
+    const ws = await fastify.injectWS('/', { protocols })
+    const [message] = await once(ws, 'message')
+    ws.terminate()
+    return { protocol: ws.protocol, handler: message.toString() }
+  }
+
+  t.same(await connect(['chat']), { protocol: 'chat', handler: 'chat' })
+  t.same(await connect(['other', 'chat']), { protocol: 'chat', handler: 'chat' })
+  t.same(await connect(['other']), { protocol: 'other', handler: 'default' })
+  t.same(await connect(), { protocol: '', handler: 'default' })
+})
+
+test('Should let the route handleProtocols choose the subprotocol', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', {
+    websocket: true,
+    protocols: ['chat.v1', 'chat.v2'],
+    wsOptions: {
+      handleProtocols: (offered) => {
+        t.same(Array.from(offered), ['chat.v1', 'chat.v2'])
+        return 'chat.v2'
+      }
+    }
+  }, () => {})
+
+  const ws = await fastify.injectWS('/', { protocols: ['chat.v1', 'chat.v2'] })
+  t.equal(ws.protocol, 'chat.v2')
+  ws.terminate()
+})
+
+test('Should fail on invalid protocols options', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  for (const protocols of ['chat', [], ['chat', '']]) {
+    t.throws(() => {
+      fastify.get('/', { websocket: true, protocols }, () => {})
+    }, /invalid protocols option/)
+  }
+})
@@ -0,0 +1,294 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { MemoryRateLimitStore } = fastifyWebsocket
+const { once } = require('events')
+
+async function buildServer (t, options, routeOptions) {
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, options)
+
+  fastify.get('/', Object.assign({ websocket: true }, routeOptions), (connection) => {
+    connection.setEncoding('utf8')
+    connection.on('data', message => {
+      connection.write(`received ${message}`)
+    })
+  })
+
+  return fastify
+}
+
+test('Should drop the messages over the connection limit', async (t) => {
+  t.plan(2)
+
+  const fastify = await buildServer(t, { rateLimit: { interval: 60000, connection: { messages: 2 } } })
+
+  const ws = await fastify.injectWS('/')
+  t.teardown(() => ws.terminate())
+  const messages = []
+  ws.on('message', message => messages.push(message.toString()))
+
+  for (const message of ['one', 'two', 'three', 'four']) {
+    ws.send(message)
+  }
+  await once(ws, 'message')
+  await once(ws, 'message')
+  await new Promise(resolve => setTimeout(resolve, 20))
+  t.same(messages, ['received one', 'received two'])
+
+  // the limit applies to each connection
+  const other = await fastify.injectWS('/')
+  t.teardown(() => other.terminate())
+  other.send('five')
+  const [message] = await once(other, 'message')
+  t.equal(message.toString(), 'received five')
+})
+
+test('Should send an error frame when the bytes limit is exceeded', async (t) => {
+  t.plan(3)
+
+  const fastify = await buildServer(t, {
+    rateLimit: { interval: 60000, connection: { bytes: 10 }, action: 'send' }
+  })
+
+  const ws = await fastify.injectWS('/')
+  t.teardown(() => ws.terminate())
+
+  ws.send('hello')
+  ws.send('world!')
+  ws.send('ok')
+  const messages = []
+  ws.on('message', message => messages.push(message.toString()))
+  for (let i = 0; i < 3; i++) {
+    await once(ws, 'message')
+  }
+
+  t.equal(messages[0], 'received hello')
+  t.same(JSON.parse(messages[1]), { error: 'Rate limit exceeded', message: 'connection bytes rate limit exceeded' })
+  t.equal(messages[2], 'received ok')
+})
+
+test('Should keep the client IP limits across reconnections and close with 1008', async (t) => {
+  t.plan(3)
+
+  const fastify = await buildServer(t, {
+    rateLimit: { interval: 60000, ip: { messages: 2 }, action: 'close' }
+  })
+
+  const first = await fastify.injectWS('/')
+  first.send('one')
+  first.send('two')
+  await once(first, 'message')
+  await once(first, 'message')
+  first.close()
+  await once(first, 'close')
+
+  const second = await fastify.injectWS('/')
+  second.send('three')
+  const [code, reason] = await once(second, 'close')
+  t.equal(code, 1008)
+  t.equal(reason.toString(), 'Rate limit exceeded')
+
+  const response = await fastify.inject({ method: 'GET', url: '/' })
+  t.equal(response.statusCode, 404)
+})
+
+test('Should let routes set their own limits and actions', async (t) => {
+  t.plan(8)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { rateLimit: { interval: 60000, ip: { messages: 1 }, action: 'close' } })
+
+  fastify.get('/unlimited', { websocket: true, rateLimit: false }, (connection) => {
+    connection.pipe(connection)
+  })
+  fastify.get('/custom', {
+    websocket: true,
+    rateLimit: {
+      interval: 60000,
+      connection: { messages: 1 },
+      action: function (error, connection, request) {
+        t.equal(this, fastify)
+        t.equal(error.statusCode, 429)
+        t.same(error.rateLimit, { scope: 'connection', unit: 'messages', limit: 1, interval: 60000 })
+        t.equal(request.url, '/custom')
+        connection.socket.close(4029)
+      }
+    }
+  }, (connection) => {
+    connection.pipe(connection)
+  })
+
+  const unlimited = await fastify.injectWS('/unlimited')
+  unlimited.send('one')
+  unlimited.send('two')
+  await once(unlimited, 'message')
+  const [message] = await once(unlimited, 'message')
+  t.equal(message.toString(), 'two')
+  unlimited.terminate()
+
+  const custom = await fastify.injectWS('/custom')
+  custom.send('one')
+  custom.send('two')
+  const [echo] = await once(custom, 'message')
+  t.equal(echo.toString(), 'one')
+  const [code] = await once(custom, 'close')
+  t.equal(code, 4029)
+
+  // the buckets of the route are kept apart from the ones of the plugin limits
+  const again = await fastify.injectWS('/custom')
+  t.teardown(() => again.terminate())
+  again.send('three')
+  const [third] = await once(again, 'message')
+  t.equal(third.toString(), 'three')
+})
+
+test('Should consume the tokens from an asynchronous store', async (t) => {
+  t.plan(3)
+
+  const memory = new MemoryRateLimitStore()
+  const keys = new Set()
+  let closed = false
+  const store = {
+    consume (key, cost, limit, interval) {
+      keys.add(key)
+      return new Promise(resolve => setTimeout(resolve, 5)).then(() => memory.consume(key, cost, limit, interval))
+    },
+    close () {
+      memory.close()
+      closed = true
+    }
+  }
+
+  const fastify = Fastify()
+  await fastify.register(fastifyWebsocket, {
+    rateLimit: { ip: { messages: 2, bytes: 100 }, store }
+  })
+  fastify.get('/', { websocket: true, messageFormat: 'text' }, (connection) => {
+    connection.on('data', message => connection.write(message))
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send('one')
+  ws.send('two')
+  ws.send('three')
+  const messages = []
+  ws.on('message', message => messages.push(message.toString()))
+  await once(ws, 'message')
+  await once(ws, 'message')
+  await new Promise(resolve => setTimeout(resolve, 30))
+  t.same(messages, ['one', 'two'])
+  t.same(Array.from(keys).sort(), ['ip|127.0.0.1|bytes', 'ip|127.0.0.1|messages'])
+
+  ws.terminate()
+  await fastify.close()
+  t.ok(closed)
+})
+
+test('Should let the messages through and log the error when the store fails', async (t) => {
+  t.plan(3)
+
+  const memory = new MemoryRateLimitStore()
+  t.teardown(() => memory.close())
+  let calls = 0
+  const store = {
+    consume (key, cost, limit, interval) {
+      // the first frame hits an outage of the store
+      if (++calls === 1) {
+        return Promise.reject(new Error('redis down'))
+      }
+      return Promise.resolve(memory.consume(key, cost, limit, interval))
+    }
+  }
+
+  const logs = []
+  const fastify = Fastify({ logger: { stream: { write: line => logs.push(JSON.parse(line)) } } })
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket, { rateLimit: { connection: { messages: 10 }, store } })
+  fastify.get('/', { websocket: true, messageFormat: 'text' }, (connection) => {
+    connection.on('data', message => connection.write(message))
+  })
+  fastify.get('/sync', {
+    websocket: true,
+    messageFormat: 'text',
+    rateLimit: {
+      connection: { messages: 10 },
+      store: {
+        consume () {
+          throw new Error('store unavailable')
+        }
+      }
+    }
+  }, (connection) => {
+    connection.on('data', message => connection.write(message))
+  })
+
+  const ws = await fastify.injectWS('/')
+  t.teardown(() => ws.terminate())
+  const messages = []
+  ws.on('message', message => messages.push(message.toString()))
+  ws.send('one')
+  ws.send('two')
+  ws.send('three')
+  for (let i = 0; i < 3; i++) {
+    await once(ws, 'message')
+  }
+  t.same(messages, ['one', 'two', 'three'])
+
+  const sync = await fastify.injectWS('/sync')
+  t.teardown(() => sync.terminate())
+  sync.send('four')
+  const [four] = await once(sync, 'message')
+  t.equal(four.toString(), 'four')
+
+  t.same(logs.filter(log => log.msg === 'rate limit store failed, letting the websocket message through').map(log => log.err.message), ['redis down', 'store unavailable'])
+})
+
+test('Should refill the buckets and forget the full ones', async (t) => {
+  t.plan(5)
+
+  const store = new MemoryRateLimitStore({ pruneInterval: 30 })
+  t.teardown(() => store.close())
+
+  t.ok(store.consume('key', 2, 2, 20))
+  t.notOk(store.consume('key', 1, 2, 20))
+  await new Promise(resolve => setTimeout(resolve, 15))
+  t.ok(store.consume('key', 1, 2, 20))
+
+  await new Promise(resolve => setTimeout(resolve, 80))
+  t.equal(store.buckets.size, 0)
+  t.equal(store.timer, null)
+})
+
+test('Should fail on invalid rateLimit options', async (t) => {
+  t.plan(8)
+
+  const invalid = [
+    {},
+    { connection: { messages: 0 } },
+    { ip: 10 },
+    { connection: { messages: 1 }, interval: -1 },
+    { connection: { messages: 1 }, action: 'ban' },
+    { connection: { messages: 1 }, store: {} },
+    null
+  ]
+  for (const rateLimit of invalid) {
+    const fastify = Fastify()
+    t.teardown(() => fastify.close())
+    await t.rejects(fastify.register(fastifyWebsocket, { rateLimit }), /invalid rateLimit option/)
+  }
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket)
+
+  t.throws(() => {
+    fastify.get('/', { websocket: true, rateLimit: { ip: { bytes: '1kb' } } }, () => {})
+  }, /invalid rateLimit option/)
+})
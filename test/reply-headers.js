@@ -0,0 +1,122 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const WebSocket = require('ws')
+const { once } = require('events')
+
+async function upgrade (t, fastify, path) {
+  await fastify.listen({ port: 0 })
+
+  const ws = new WebSocket('ws://localhost:' + fastify.server.address().port + path)
+  t.teardown(() => ws.terminate())
+  const [response] = await once(ws, 'upgrade')
+  return response
+}
+
+test('Should send the headers set on the reply with the 101 response', async (t) => {
+  t.plan(6)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.addHook('onRequest', async (request, reply) => {
+    reply.header('x-request-id', request.id)
+    reply.header('set-cookie', 'session=rotated; HttpOnly')
+  })
+
+  fastify.get('/', {
+    websocket: true,
+    preHandler: (request, reply, done) => {
+      reply.header('set-cookie', 'csrf=token')
+      reply.header('x-retry', 3)
+      // the handshake headers stay the ones of ws
+      reply.header('connection', 'close')
+      reply.header('content-type', 'text/plain')
+      done()
+    }
+  }, () => {})
+
+  const response = await upgrade(t, fastify, '/')
+  t.equal(response.statusCode, 101)
+  t.equal(response.headers['x-request-id'], 'req-1')
+  t.equal(response.headers['x-retry'], '3')
+  t.same(response.headers['set-cookie'], ['session=rotated; HttpOnly', 'csrf=token'])
+  t.equal(response.headers.connection, 'Upgrade')
+  t.notOk(response.headers['content-type'])
+})
+
+test('Should send the cookies serialized with @fastify/cookie with the 101 response', async (t) => {
+  t.plan(1)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(require('@fastify/cookie'))
+  await fastify.register(fastifyWebsocket)
+
+  fastify.addHook('onRequest', async (request, reply) => {
+    reply.header('set-cookie', fastify.serializeCookie('session', 'rotated', { httpOnly: true, path: '/' }))
+  })
+
+  fastify.get('/', { websocket: true }, () => {})
+
+  const response = await upgrade(t, fastify, '/')
+  t.same(response.headers['set-cookie'], ['session=rotated; Path=/; HttpOnly'])
+})
+
+test('Should not send the reply headers when the route opts out', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.addHook('onRequest', async (request, reply) => {
+    reply.header('x-powered-by', 'fastify')
+  })
+
+  fastify.get('/', { websocket: true, replyHeaders: false }, () => {})
+
+  const response = await upgrade(t, fastify, '/')
+  t.equal(response.statusCode, 101)
+  t.notOk(response.headers['x-powered-by'])
+})
+
+test('Should reject the upgrade when a reply header is invalid', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', {
+    websocket: true,
+    preHandler: (request, reply, done) => {
+      reply.header('x-injected', 'value\r\nx-other: value')
+      done()
+    }
+  }, () => t.fail('should not call the handler'))
+
+  const error = await fastify.injectWS('/').catch(err => err)
+  t.equal(error.statusCode, 500)
+  t.notOk(error.headers['x-other'])
+})
+
+test('Should fail on invalid replyHeaders option', async (t) => {
+  t.plan(1)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  t.throws(() => {
+    fastify.get('/', { websocket: true, replyHeaders: 'yes' }, () => {})
+  }, /invalid replyHeaders option/)
+})
@@ -0,0 +1,139 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+async function buildServer (t, opts) {
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, opts)
+
+  const connections = []
+  fastify.get('/', { websocket: true }, (connection, request) => {
+    for (const topic of [].concat(request.query.topic || [])) {
+      connection.join(topic)
+    }
+    connections.push(connection)
+    connection.socket.send('joined')
+  })
+
+  fastify.connect = async function (...topics) {
+    const ws = await fastify.injectWS('/', { query: { topic: topics } })
+    await once(ws, 'message')
+    t.teardown(() => ws.terminate())
+    return ws
+  }
+  fastify.connections = connections
+
+  return fastify
+}
+
+test('Should broadcast to the connections that joined a topic', async (t) => {
+  t.plan(6)
+
+  const fastify = await buildServer(t)
+
+  const lobby = await fastify.connect('chat/lobby')
+  const other = await fastify.connect('chat/other')
+  other.on('message', () => t.fail('should not receive messages of other topics'))
+
+  t.equal(fastify.websocketBroadcast('chat/lobby', 'hello lobby'), 1)
+  const [message] = await once(lobby, 'message')
+  t.equal(message.toString(), 'hello lobby')
+
+  t.equal(fastify.websocketBroadcast('chat/lobby', { text: 'hi' }), 1)
+  const [json] = await once(lobby, 'message')
+  t.same(JSON.parse(json), { text: 'hi' })
+
+  t.equal(fastify.websocketBroadcast('chat/lobby', new Uint8Array([1, 2]).buffer), 1)
+  const [binary] = await once(lobby, 'message')
+  t.same(Array.from(binary), [1, 2])
+})
+
+test('Should match MQTT style wildcard subscriptions', async (t) => {
+  t.plan(6)
+
+  const fastify = await buildServer(t)
+
+  await fastify.connect('sensors/+/temperature')
+  await fastify.connect('sensors/#')
+  await fastify.connect('#')
+  await fastify.connect('sensors/kitchen/humidity')
+
+  const subscribers = topic => fastify.websocketSubscribers(topic).map(connection => fastify.connections.indexOf(connection)).sort()
+
+  t.same(subscribers('sensors/kitchen/temperature'), [0, 1, 2])
+  t.same(subscribers('sensors/kitchen/humidity'), [1, 2, 3])
+  t.same(subscribers('sensors'), [1, 2])
+  t.same(subscribers('sensors/kitchen/temperature/max'), [1, 2])
+  t.same(subscribers('lights/kitchen'), [2])
+  t.equal(fastify.websocketBroadcast('sensors/garage/temperature', 'on'), 3)
+})
+
+test('Should not send to the excepted connections', async (t) => {
+  t.plan(2)
+
+  const fastify = await buildServer(t)
+
+  const first = await fastify.connect('room')
+  await fastify.connect('room')
+  first.on('message', () => t.fail('excepted connection should not receive the message'))
+
+  t.equal(fastify.websocketBroadcast('room', 'hello', { except: fastify.connections[0] }), 1)
+  t.equal(fastify.websocketBroadcast('room', 'hello', { except: fastify.connections }), 0)
+})
+
+test('Should leave topics and expose the memberships', async (t) => {
+  t.plan(7)
+
+  const fastify = await buildServer(t)
+  await fastify.connect('a', 'b/#')
+  await fastify.connect('b/#')
+  const [connection, other] = fastify.connections
+
+  t.same(connection.topics, ['a', 'b/#'])
+  t.same(fastify.websocketTopics().sort(), ['a', 'b/#'])
+
+  connection.leave('b/#').leave('unknown')
+  t.same(connection.topics, ['a'])
+  t.same(fastify.websocketTopics().sort(), ['a', 'b/#'])
+  t.equal(fastify.websocketBroadcast('b/c', 'hello'), 1)
+
+  other.leave('b/#')
+  t.same(fastify.websocketTopics(), ['a'])
+  t.equal(fastify.websocketBroadcast('b/c', 'hello'), 0)
+})
+
+test('Should leave every topic when the connection closes', async (t) => {
+  t.plan(3)
+
+  const fastify = await buildServer(t, { options: { clientTracking: false } })
+  const ws = await fastify.connect('a', 'b/+')
+  t.same(fastify.websocketTopics(), ['a', 'b/+'])
+
+  const closed = once(fastify.connections[0].socket, 'close')
+  ws.close()
+  await closed
+
+  t.same(fastify.websocketTopics(), [])
+  t.same(fastify.connections[0].topics, [])
+})
+
+test('Should throw on invalid topics', async (t) => {
+  t.plan(7)
+
+  const fastify = await buildServer(t)
+  await fastify.connect()
+  const [connection] = fastify.connections
+  t.same(connection.topics, [])
+
+  t.throws(() => connection.join(''), /invalid topic filter/)
+  t.throws(() => connection.join(42), /invalid topic filter/)
+  t.throws(() => connection.join('a/#/b'), /invalid topic filter a\/#\/b/)
+  t.throws(() => connection.join('a/b+'), /invalid topic filter a\/b\+/)
+  t.throws(() => fastify.websocketBroadcast('a/+', 'hello'), /invalid topic a\/\+/)
+  t.throws(() => fastify.websocketSubscribers(''), /invalid topic/)
+})
@@ -0,0 +1,237 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+async function exchange (ws, frame) {
+  ws.send(typeof frame === 'string' ? frame : JSON.stringify(frame))
+  const [data] = await once(ws, 'message')
+  return JSON.parse(data)
+}
+
+test('Should answer the JSON-RPC requests with the methods of the route', async (t) => {
+  t.plan(10)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  const notified = []
+  fastify.get('/rpc', {
+    websocket: true,
+    rpc: {
+      methods: {
+        add: ([a, b]) => a + b,
+        greet: async function (params, connection, request) {
+          t.equal(this, fastify)
+          return `hello ${params.name} from ${request.url}`
+        },
+        log: (params) => {
+          notified.push(params)
+        },
+        fail: () => {
+          const error = new Error('Not allowed')
+          error.code = 4003
+          error.data = { reason: 'forbidden' }
+          throw error
+        },
+        crash: async () => {
+          throw new Error('Something broke')
+        }
+      }
+    }
+  }, () => {})
+
+  const ws = await fastify.injectWS('/rpc')
+
+  t.same(await exchange(ws, { jsonrpc: '2.0', id: 1, method: 'add', params: [1, 2] }), { jsonrpc: '2.0', id: 1, result: 3 })
+  t.same(await exchange(ws, { jsonrpc: '2.0', id: 'a', method: 'greet', params: { name: 'bob' } }), { jsonrpc: '2.0', id: 'a', result: 'hello bob from /rpc' })
+
+  // notifications are not answered
+  ws.send(JSON.stringify({ jsonrpc: '2.0', method: 'log', params: ['first'] }))
+  t.same(await exchange(ws, { jsonrpc: '2.0', id: 2, method: 'log', params: ['second'] }), { jsonrpc: '2.0', id: 2, result: null })
+  t.same(notified, [['first'], ['second']])
+
+  t.same(await exchange(ws, { jsonrpc: '2.0', id: 3, method: 'fail' }), {
+    jsonrpc: '2.0', id: 3, error: { code: 4003, message: 'Not allowed', data: { reason: 'forbidden' } }
+  })
+  t.same(await exchange(ws, { jsonrpc: '2.0', id: 4, method: 'crash' }), {
+    jsonrpc: '2.0', id: 4, error: { code: -32000, message: 'Something broke' }
+  })
+  t.same(await exchange(ws, { jsonrpc: '2.0', id: 5, method: 'missing' }), {
+    jsonrpc: '2.0', id: 5, error: { code: -32601, message: 'Method not found' }
+  })
+  t.same(await exchange(ws, '{"jsonrpc":'), { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } })
+
+  const invalid = { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request' } }
+  t.same(await Promise.all([
+    exchange(ws, { id: 6, method: 'add' }),
+    exchange(ws, { jsonrpc: '2.0', id: 7, method: 'add', params: 1 }),
+    exchange(ws, { jsonrpc: '2.0', id: {}, method: 'add' }),
+    exchange(ws, { jsonrpc: '2.0', id: 8 }),
+    exchange(ws, 'null')
+  ]), [invalid, invalid, invalid, invalid, invalid])
+})
+
+test('Should answer the methods throwing other values than errors', async (t) => {
+  t.plan(4)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/rpc', {
+    websocket: true,
+    rpc: {
+      methods: {
+        throwNull: () => {
+          throw null // eslint-disable-line no-throw-literal
+        },
+        rejectEmpty: () => Promise.reject(), // eslint-disable-line prefer-promise-reject-errors
+        throwString: () => {
+          throw 'Not ready' // eslint-disable-line no-throw-literal
+        },
+        throwObject: () => {
+          throw { code: 4000 } // eslint-disable-line no-throw-literal
+        }
+      }
+    }
+  }, () => {})
+
+  const ws = await fastify.injectWS('/rpc')
+
+  t.same(await exchange(ws, { jsonrpc: '2.0', id: 1, method: 'throwNull' }), {
+    jsonrpc: '2.0', id: 1, error: { code: -32000, message: 'Server error' }
+  })
+  t.same(await exchange(ws, { jsonrpc: '2.0', id: 2, method: 'rejectEmpty' }), {
+    jsonrpc: '2.0', id: 2, error: { code: -32000, message: 'Server error' }
+  })
+  t.same(await exchange(ws, { jsonrpc: '2.0', id: 3, method: 'throwString' }), {
+    jsonrpc: '2.0', id: 3, error: { code: -32000, message: 'Not ready' }
+  })
+  t.same(await exchange(ws, { jsonrpc: '2.0', id: 4, method: 'throwObject' }), {
+    jsonrpc: '2.0', id: 4, error: { code: 4000, message: 'Server error' }
+  })
+})
+
+test('Should answer the batches of JSON-RPC requests', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/rpc', {
+    websocket: true,
+    rpc: {
+      methods: {
+        double: ([n]) => n * 2,
+        log: () => {},
+        fail: () => {
+          throw new Error('failed')
+        }
+      }
+    }
+  }, () => {})
+
+  const ws = await fastify.injectWS('/rpc')
+
+  t.same(await exchange(ws, [
+    { jsonrpc: '2.0', id: 1, method: 'double', params: [1] },
+    { jsonrpc: '2.0', method: 'log' },
+    { jsonrpc: '2.0', id: 2, method: 'missing' },
+    { jsonrpc: '2.0', id: 3, method: 'double', params: [2] }
+  ]), [
+    { jsonrpc: '2.0', id: 1, result: 2 },
+    { jsonrpc: '2.0', id: 2, error: { code: -32601, message: 'Method not found' } },
+    { jsonrpc: '2.0', id: 3, result: 4 }
+  ])
+
+  // a batch of notifications is not answered, even when they fail
+  ws.send(JSON.stringify([{ jsonrpc: '2.0', method: 'log' }, { jsonrpc: '2.0', method: 'fail' }, { jsonrpc: '2.0', method: 'missing' }]))
+  t.same(await exchange(ws, [{ jsonrpc: '2.0', id: 4, method: 'double', params: [4] }]), [{ jsonrpc: '2.0', id: 4, result: 8 }])
+
+  t.same(await exchange(ws, []), { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request' } })
+})
+
+test('Should call the methods of the client', async (t) => {
+  t.plan(10)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  let serverConnection
+  fastify.get('/rpc', { websocket: true, rpc: { methods: {}, timeout: 50 } }, (connection) => {
+    serverConnection = connection
+  })
+
+  const ws = await fastify.injectWS('/rpc')
+
+  const sum = serverConnection.call('sum', [1, 2])
+  const [request] = await once(ws, 'message')
+  const call = JSON.parse(request)
+  t.same(call, { jsonrpc: '2.0', id: 1, method: 'sum', params: [1, 2] })
+  ws.send(JSON.stringify({ jsonrpc: '2.0', id: call.id, result: 3 }))
+  t.equal(await sum, 3)
+
+  const denied = serverConnection.call('delete', {})
+  await once(ws, 'message')
+  ws.send(JSON.stringify({ jsonrpc: '2.0', id: 2, error: { code: 4003, message: 'Denied', data: 'read only' } }))
+  const error = await denied.catch(err => err)
+  t.equal(error.message, 'Denied')
+  t.equal(error.code, 4003)
+  t.equal(error.data, 'read only')
+
+  // the responses to unknown calls are ignored
+  ws.send(JSON.stringify({ jsonrpc: '2.0', id: 42, result: 'late' }))
+
+  const slow = once(ws, 'message')
+  await t.rejects(serverConnection.call('slow', [], { timeout: 10 }), /RPC call of slow timed out/)
+  await slow
+
+  serverConnection.notify('update', { version: 2 })
+  const [notification] = await once(ws, 'message')
+  t.same(JSON.parse(notification), { jsonrpc: '2.0', method: 'update', params: { version: 2 } })
+
+  // the pending calls fail once the connection is closed
+  const pending = serverConnection.call('wait')
+  await once(ws, 'message')
+  ws.close()
+  await t.rejects(pending, /websocket connection closed/)
+  await t.rejects(serverConnection.call('after'), /websocket connection closed/)
+  serverConnection.notify('ignored')
+  t.pass('notifications are dropped once closed')
+})
+
+test('Should fail on invalid rpc options', async (t) => {
+  t.plan(8)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket)
+
+  for (const rpc of [null, {}, { methods: { add: 'add' } }, { methods: {}, timeout: -1 }]) {
+    t.throws(() => {
+      fastify.get('/', { websocket: true, rpc }, () => {})
+    }, /invalid rpc option/)
+  }
+  t.throws(() => {
+    fastify.get('/', { websocket: true, rpc: { methods: {} }, messages: { join: () => {} } }, () => {})
+  }, /rpc cannot be used with messages or schema.message/)
+  t.throws(() => {
+    fastify.get('/', { websocket: true, rpc: { methods: {} }, schema: { message: { type: 'object' } } }, () => {})
+  }, /rpc cannot be used with messages or schema.message/)
+  t.throws(() => {
+    fastify.get('/', { websocket: true, rpc: { methods: {} }, messageFormat: 'binary' }, () => {})
+  }, /rpc can only be used with the json messageFormat/)
+  t.doesNotThrow(() => {
+    fastify.get('/', { websocket: true, rpc: false, messageFormat: 'binary' }, () => {})
+  })
+})
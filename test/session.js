@@ -0,0 +1,228 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { EventEmitter, once } = require('events')
+
+async function nextMessage (ws) {
+  const [data] = await once(ws, 'message')
+  return data.toString()
+}
+
+async function announcement (ws) {
+  return JSON.parse(await nextMessage(ws)).session
+}
+
+test('Should replay the messages missed by a client resuming its session', async (t) => {
+  t.plan(12)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  const connections = []
+  fastify.get('/feed', { websocket: true, session: true }, (connection) => {
+    connections.push(connection)
+    connection.session.state.visits = (connection.session.state.visits || 0) + 1
+    connection.socket.send(`visit ${connection.session.state.visits}`)
+  })
+
+  const first = await fastify.injectWS('/feed')
+  const session = await announcement(first)
+  t.type(session.token, 'string')
+  t.equal(session.resumed, false)
+  t.equal(await nextMessage(first), 'visit 1')
+  t.equal(connections[0].resumed, false)
+
+  connections[0].socket.send('one')
+  t.equal(await nextMessage(first), 'one')
+  // sent once the client is disconnected, they are buffered
+  first.terminate()
+  await once(connections[0].socket, 'close')
+  connections[0].session.send('two')
+  connections[0].session.send(Buffer.from('three'), { binary: false })
+
+  // the client saw two messages of the session
+  const second = await fastify.injectWS('/feed', { query: { session_token: session.token, last_seq: '2' } })
+  t.same(await announcement(second), { token: session.token, resumed: true })
+  t.equal(await nextMessage(second), 'two')
+  t.equal(await nextMessage(second), 'three')
+  // the handler runs again, with the state of the session
+  t.equal(await nextMessage(second), 'visit 2')
+  t.equal(connections[1].session, connections[0].session)
+  t.equal(connections[1].resumed, true)
+
+  // the session now sends on the new connection
+  connections[1].session.send('four')
+  t.equal(await nextMessage(second), 'four')
+})
+
+test('Should start a new session when the missed messages cannot be replayed', async (t) => {
+  t.plan(7)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  const connections = []
+  fastify.get('/feed', { websocket: true, session: { bufferSize: 2 } }, (connection) => {
+    connections.push(connection)
+  })
+  fastify.get('/other', { websocket: true, session: true }, () => {})
+
+  const first = await fastify.injectWS('/feed')
+  const { token } = await announcement(first)
+  first.terminate()
+  await once(connections[0].socket, 'close')
+  for (const message of ['one', 'two', 'three']) {
+    connections[0].session.send({ message })
+  }
+
+  // the first message is no longer buffered
+  const tooLate = await fastify.injectWS('/feed', { query: { session_token: token, last_seq: '0' } })
+  const renewed = await announcement(tooLate)
+  t.equal(renewed.resumed, false)
+  t.not(renewed.token, token)
+
+  // the old session expired along
+  const expired = await fastify.injectWS('/feed', { query: { session_token: token, last_seq: '1' } })
+  t.equal((await announcement(expired)).resumed, false)
+
+  // the sessions are bound to their route
+  const other = await fastify.injectWS('/other', { query: { session_token: renewed.token, last_seq: '0' } })
+  t.equal((await announcement(other)).resumed, false)
+
+  const unknown = await fastify.injectWS('/feed', { query: { session_token: 'unknown', last_seq: '0' } })
+  t.equal((await announcement(unknown)).resumed, false)
+
+  // a client cannot claim to have seen messages that were never sent
+  const ahead = await fastify.injectWS('/feed', { query: { session_token: renewed.token, last_seq: '5' } })
+  t.equal((await announcement(ahead)).resumed, false)
+  t.equal(connections.length, 5)
+})
+
+test('Should take the session over from a connection still open, and expire it after the grace period', async (t) => {
+  t.plan(5)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  const connections = []
+  fastify.get('/', { websocket: true, messageFormat: 'json', session: { gracePeriod: 20 } }, (connection) => {
+    connections.push(connection)
+  })
+
+  const first = await fastify.injectWS('/')
+  const { token } = await announcement(first)
+  connections[0].socket.send({ hello: 'world' })
+  t.same(JSON.parse(await nextMessage(first)), { hello: 'world' })
+
+  const second = await fastify.injectWS('/', { query: { session_token: token, last_seq: '1' } })
+  t.same(await announcement(second), { token, resumed: true })
+  const [code, reason] = await once(first, 'close')
+  t.equal(code, 1000)
+  t.equal(reason.toString(), 'Session resumed')
+
+  second.terminate()
+  await once(connections[1].socket, 'close')
+  await new Promise(resolve => setTimeout(resolve, 50))
+  const third = await fastify.injectWS('/', { query: { session_token: token, last_seq: '1' } })
+  t.equal((await announcement(third)).resumed, false)
+})
+
+test('Should buffer the messages of the subscriptions living as long as the session', async (t) => {
+  t.plan(9)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  const feed = new EventEmitter()
+  let expired = 0
+  const connections = []
+  fastify.get('/feed', { websocket: true, session: { gracePeriod: 20 } }, (connection) => {
+    connections.push(connection)
+    if (!connection.resumed) {
+      const onUpdate = update => connection.session.send(update)
+      feed.on('update', onUpdate)
+      connection.session.onExpire(() => {
+        expired++
+        feed.off('update', onUpdate)
+      })
+    }
+  })
+
+  const first = await fastify.injectWS('/feed')
+  const { token } = await announcement(first)
+  feed.emit('update', 'one')
+  t.equal(await nextMessage(first), 'one')
+
+  // the updates sent while the client is disconnected are buffered
+  first.terminate()
+  await once(connections[0].socket, 'close')
+  feed.emit('update', 'two')
+
+  const second = await fastify.injectWS('/feed', { query: { session_token: token, last_seq: '1' } })
+  t.same(await announcement(second), { token, resumed: true })
+  t.equal(await nextMessage(second), 'two')
+  feed.emit('update', 'three')
+  t.equal(await nextMessage(second), 'three')
+  t.equal(feed.listenerCount('update'), 1)
+
+  // the session ends with the grace period
+  second.terminate()
+  await once(connections[1].socket, 'close')
+  await new Promise(resolve => setTimeout(resolve, 50))
+  t.equal(expired, 1)
+  t.equal(feed.listenerCount('update'), 0)
+
+  // a session the client cannot resume expires while its connection is still open, and not again once it closes
+  const third = await fastify.injectWS('/feed')
+  const renewed = await announcement(third)
+  const fourth = await fastify.injectWS('/feed', { query: { session_token: renewed.token, last_seq: '5' } })
+  t.teardown(() => fourth.terminate())
+  await announcement(fourth)
+  t.equal(expired, 2)
+  third.terminate()
+  await once(connections[2].socket, 'close')
+  await new Promise(resolve => setTimeout(resolve, 50))
+  t.equal(expired, 2)
+})
+
+test('Should announce the session with a JSON-RPC notification on the rpc routes', async (t) => {
+  t.plan(1)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/rpc', { websocket: true, session: true, rpc: { methods: {} } }, () => {})
+
+  const ws = await fastify.injectWS('/rpc')
+  const notification = JSON.parse(await nextMessage(ws))
+  t.match(notification, { jsonrpc: '2.0', method: 'session', params: { token: String, resumed: false } })
+})
+
+test('Should fail on invalid session options', async (t) => {
+  t.plan(5)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket)
+
+  for (const session of [null, 'yes', { gracePeriod: 0 }, { bufferSize: 1.5 }]) {
+    t.throws(() => {
+      fastify.get('/', { websocket: true, session }, () => {})
+    }, /invalid session option/)
+  }
+  t.doesNotThrow(() => {
+    fastify.get('/', { websocket: true, session: false }, () => {})
+  })
+})
@@ -0,0 +1,160 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+test('Should close the connections with the configured code and reason', async (t) => {
+  t.plan(4)
+
+  const fastify = Fastify()
+
+  await fastify.register(fastifyWebsocket, {
+    options: { clientTracking: false },
+    shutdown: { code: 1012, reason: 'restarting' }
+  })
+
+  fastify.get('/', { websocket: true }, () => {})
+
+  const ws = await fastify.injectWS('/')
+  let closed = false
+  ws.on('close', (code, reason) => {
+    closed = true
+    t.equal(code, 1012)
+    t.equal(reason.toString(), 'restarting')
+  })
+
+  const other = await fastify.injectWS('/')
+  other.close()
+  await once(other, 'close')
+
+  await fastify.close()
+  // the client may receive the close event after the server, but the server side must be done
+  await new Promise(resolve => setImmediate(resolve))
+  t.ok(closed)
+  t.equal(ws.readyState, ws.CLOSED)
+})
+
+test('Should call onShutdown before closing the connections of the route', async (t) => {
+  t.plan(4)
+
+  const fastify = Fastify()
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', {
+    websocket: true,
+    onShutdown: async (connection) => {
+      t.ok(connection.socket)
+      await new Promise(resolve => setTimeout(resolve, 10))
+      connection.socket.send(JSON.stringify({ type: 'reconnect', url: 'wss://other.example.com' }))
+    }
+  }, () => {})
+
+  const ws = await fastify.injectWS('/')
+  const messages = []
+  ws.on('message', message => messages.push(JSON.parse(message)))
+  const closed = once(ws, 'close')
+
+  await fastify.close()
+  const [code] = await closed
+  t.equal(code, 1001)
+  t.equal(messages.length, 1)
+  t.equal(messages[0].type, 'reconnect')
+})
+
+test('Should close the connection when onShutdown fails', async (t) => {
+  t.plan(2)
+
+  const logs = []
+  const fastify = Fastify({
+    logger: {
+      level: 'error',
+      stream: { write: line => logs.push(JSON.parse(line)) }
+    }
+  })
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', {
+    websocket: true,
+    onShutdown: () => {
+      throw new Error('kaboom')
+    }
+  }, () => {})
+
+  const ws = await fastify.injectWS('/')
+  const closed = once(ws, 'close')
+
+  await fastify.close()
+  await closed
+  t.equal(logs[0].msg, 'websocket onShutdown failed')
+  t.equal(logs[0].err.message, 'kaboom')
+})
+
+test('Should terminate the connections still open after the drain timeout', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+
+  await fastify.register(fastifyWebsocket, { shutdown: { timeout: 20 } })
+
+  let connection
+  fastify.get('/', { websocket: true }, (conn) => {
+    connection = conn
+  })
+
+  const ws = await fastify.injectWS('/')
+  t.teardown(() => ws.terminate())
+  // a paused client never answers the close frame
+  ws.pause()
+
+  const closed = once(connection.socket, 'close')
+  await fastify.close()
+  const [code] = await closed
+  t.equal(code, 1006)
+  t.equal(fastify.websocketServer.clients.size, 0)
+})
+
+test('Should close the connections upgraded during the shutdown', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+
+  await fastify.register(fastifyWebsocket, { shutdown: { code: 4001, reason: 'bye' } })
+
+  let late
+  fastify.get('/', {
+    websocket: true,
+    onShutdown: async () => {
+      late = await fastify.injectWS('/other')
+    }
+  }, () => {})
+  fastify.get('/other', { websocket: true }, () => t.fail('should not call the handler during the shutdown'))
+
+  await fastify.injectWS('/')
+  await fastify.close()
+
+  const [code, reason] = await once(late, 'close')
+  t.equal(code, 4001)
+  t.equal(reason.toString(), 'bye')
+})
+
+test('Should fail on invalid shutdown options', async (t) => {
+  t.plan(4)
+
+  for (const shutdown of [{ code: 'normal' }, { reason: 42 }, { timeout: -1 }]) {
+    const fastify = Fastify()
+    t.teardown(() => fastify.close())
+    await t.rejects(fastify.register(fastifyWebsocket, { shutdown }), /invalid shutdown option/)
+  }
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(fastifyWebsocket)
+
+  t.throws(() => {
+    fastify.get('/', { websocket: true, onShutdown: 'reconnect' }, () => {})
+  }, /invalid onShutdown function/)
+})
@@ -1,9 +1,11 @@
-import wsPlugin, { WebsocketHandler, SocketStream } from '../..';
+import wsPlugin, { WebsocketHandler, SocketStream, TypedSocketStream, InjectWSOptions, InvalidMessageError, BroadcastAdapter, BroadcastEnvelope, MemoryAdapter, ClusterAdapter, MemoryRateLimitStore, RateLimitError, WebsocketMetrics, WebsocketSession } from '../..';
 import type {IncomingMessage} from "http";
-import fastify, { RouteOptions, FastifyRequest, FastifyInstance, FastifyReply, RequestGenericInterface } from 'fastify';
-import { expectType } from 'tsd';
+import fastify, { RouteOptions, FastifyRequest, FastifyInstance, FastifyReply, RequestGenericInterface, FastifyBaseLogger, FastifyTypeProvider } from 'fastify';
+import { expectType, expectError } from 'tsd';
+import * as WebSocket from 'ws';
 import { Server } from 'ws';
 import { RouteGenericInterface } from 'fastify/types/route';
+import { EventEmitter } from 'events';
 
 const app: FastifyInstance = fastify();
 app.register(wsPlugin);
@@ -19,6 +21,9 @@ app.register(wsPlugin, {
   }
 });
 app.register(wsPlugin, { options: { perMessageDeflate: true } });
+app.register(wsPlugin, { upgradeOnError: true });
+app.register(wsPlugin, { onInvalidMessage: 'send' });
+app.register(wsPlugin, { messageFormat: 'json' });
 
 app.get('/websockets-via-inferrence', { websocket: true }, async function (connection, request) {
   expectType<FastifyInstance>(this);
@@ -105,3 +110,304 @@ app.route<{ Params: { foo: string }, Body: { bar: string }, Querystring: { searc
     expectType<IncomingMessage['headers'] & { auth: string }>(request.headers);
   },
 });
+
+expectType<Promise<WebSocket>>(app.injectWS());
+expectType<Promise<WebSocket>>(app.injectWS('/ws', { headers: { authorization: 'token' }, query: { room: 'lobby' } }));
+
+const injectOptions: InjectWSOptions = { query: 'room=lobby', protocols: ['chat'] };
+app.injectWS('/ws', injectOptions);
+
+app.get('/websockets-with-message-schema', {
+  websocket: true,
+  schema: {
+    message: { type: 'object', properties: { type: { type: 'string' } } },
+    outgoing: { type: 'object' }
+  },
+  onInvalidMessage: function (error, connection, request) {
+    expectType<FastifyInstance>(this);
+    expectType<InvalidMessageError>(error);
+    expectType<1007 | 1008>(error.closeCode);
+    expectType<SocketStream>(connection);
+    expectType<FastifyRequest>(request);
+  }
+}, (connection) => {
+  expectType<SocketStream>(connection);
+});
+
+app.route({
+  method: 'GET',
+  url: '/route-with-invalid-message-action',
+  handler: (request, reply) => {},
+  wsHandler: (connection, request) => {},
+  onInvalidMessage: 'close'
+});
+
+app.get('/websockets-with-message-format', { websocket: true, messageFormat: 'text' }, (connection) => {
+  expectType<SocketStream>(connection);
+});
+
+app.get('/websockets-with-rooms', { websocket: true }, (connection) => {
+  expectType<SocketStream>(connection.join('chat/+').leave('chat/lobby'));
+  expectType<string[]>(connection.topics);
+  expectType<number>(app.websocketBroadcast('chat/lobby', { text: 'hello' }, { except: connection }));
+  expectType<number>(app.websocketBroadcast('chat/lobby', 'hello', { except: [connection] }));
+});
+expectType<string[]>(app.websocketTopics());
+expectType<SocketStream[]>(app.websocketSubscribers('chat/lobby'));
+
+const bus = new EventEmitter();
+app.register(wsPlugin, { broadcastAdapter: new MemoryAdapter({ bus }) });
+app.register(wsPlugin, { broadcastAdapter: new ClusterAdapter() });
+ClusterAdapter.setupPrimary();
+
+const customAdapter: BroadcastAdapter = {
+  async subscribe (onMessage) {
+    onMessage({ origin: 'other', topic: 'chat/lobby', data: 'hello' });
+  },
+  async publish (envelope) {
+    expectType<BroadcastEnvelope>(envelope);
+    expectType<string | Buffer>(envelope.data);
+  }
+};
+app.register(wsPlugin, { broadcastAdapter: customAdapter });
+
+app.register(wsPlugin, { heartbeat: { interval: 30000, timeout: 10000 } });
+app.get('/websockets-with-heartbeat', { websocket: true, heartbeat: { interval: 5000 } }, (connection) => {
+  expectType<number | null | undefined>(connection.latency);
+});
+app.get('/websockets-without-heartbeat', { websocket: true, heartbeat: false }, () => {});
+
+app.get('/websockets-with-ws-options', {
+  websocket: true,
+  wsOptions: {
+    maxPayload: 1024,
+    perMessageDeflate: { threshold: 256 },
+    handleProtocols: (protocols: Set<string>) => protocols.values().next().value,
+    verifyClient: (info, done) => done(info.secure)
+  }
+}, (connection) => {
+  expectType<SocketStream>(connection);
+});
+
+app.register(wsPlugin, { shutdown: { code: 1012, reason: 'restarting', timeout: 5000 } });
+app.get('/websockets-with-shutdown', {
+  websocket: true,
+  onShutdown: async (connection) => {
+    expectType<SocketStream>(connection);
+    connection.socket.send('reconnect');
+  }
+}, () => {});
+
+app.addHook('onWsConnect', async function (connection, request) {
+  expectType<FastifyInstance>(this);
+  expectType<SocketStream>(connection);
+  expectType<FastifyRequest>(request);
+});
+app.addHook('onWsMessage', (connection, message) => {
+  if (message.spam) {
+    return null;
+  }
+  return { ...message, receivedAt: Date.now() };
+});
+app.addHook('onWsClose', (connection, code, reason) => {
+  expectType<number>(code);
+  expectType<Buffer>(reason);
+});
+app.addHook('onWsError', (connection, error) => {
+  expectType<Error>(error);
+});
+
+app.get('/websockets-with-protocols', { websocket: true, protocols: ['graphql-transport-ws'] }, (connection) => {
+  expectType<string>(connection.socket.protocol);
+});
+
+app.get('/websockets-without-reply-headers', { websocket: true, replyHeaders: false }, () => {});
+
+app.register(wsPlugin, {
+  allowedOrigins: ['https://app.example.com', /\.example\.org$/],
+  csrf: { verify: async (token, request) => token === request.headers['x-csrf'] }
+});
+app.get('/websockets-with-origins', {
+  websocket: true,
+  allowedOrigins: (origin) => origin === undefined || origin.endsWith('.example.com'),
+  csrf: false
+}, () => {});
+
+app.register(wsPlugin, {
+  rateLimit: {
+    interval: 1000,
+    connection: { messages: 20, bytes: 64 * 1024 },
+    ip: { messages: 100 },
+    action: 'close',
+    store: new MemoryRateLimitStore({ pruneInterval: 30000 })
+  }
+});
+app.get('/websockets-with-rate-limit', {
+  websocket: true,
+  rateLimit: {
+    connection: { messages: 1 },
+    action: function (error, connection) {
+      expectType<FastifyInstance>(this);
+      expectType<RateLimitError>(error);
+      expectType<'connection' | 'ip'>(error.rateLimit.scope);
+      connection.socket.close(error.closeCode);
+    }
+  }
+}, () => {});
+app.get('/websockets-without-rate-limit', { websocket: true, rateLimit: false }, () => {});
+
+app.register(wsPlugin, { maxConnections: { global: 10000, route: 1000, client: 10, retryAfter: 30 } });
+app.get('/websockets-with-max-connections', {
+  websocket: true,
+  maxConnections: { client: 2, key: async (request) => request.headers['x-user-id'] as string }
+}, () => {});
+
+app.register(wsPlugin, { metrics: { url: '/metrics', prefix: 'app_websocket_' } });
+expectType<WebsocketMetrics>(app.websocketMetrics());
+expectType<number>(app.websocketMetrics().routes['/chat'].messages.in);
+
+app.register(wsPlugin, { logConnections: { connect: 'debug', close: 'info' } });
+app.get('/websockets-with-logger', { websocket: true, logConnections: false }, (connection) => {
+  expectType<string>(connection.id);
+  expectType<FastifyBaseLogger>(connection.log);
+  connection.log.info({ topic: 'chat' }, 'joined');
+});
+
+app.get('/websockets-with-message-types', {
+  websocket: true,
+  messageTypeKey: 'op',
+  messages: {
+    join: {
+      schema: { type: 'object' },
+      handler (message, connection, request) {
+        expectType<FastifyInstance>(this);
+        expectType<SocketStream>(connection);
+        expectType<FastifyRequest>(request);
+        connection.join(message.room);
+      }
+    },
+    leave: async (message, connection) => {
+      connection.leave(message.room);
+    }
+  },
+  onUnknownMessage (message, connection) {
+    connection.socket.send(JSON.stringify({ error: 'Unknown message type' }));
+  }
+}, () => {});
+
+expectType<FastifyInstance>(app.websocketCodec('tagged', {
+  encode: (data) => Buffer.from(JSON.stringify(data)),
+  decode: (data) => JSON.parse(data.toString())
+}));
+app.get('/websockets-with-codecs', { websocket: true, codecs: ['json', 'tagged'] }, (connection) => {
+  expectType<string | undefined>(connection.codec);
+  connection.send({ hello: 'world' });
+});
+
+app.get('/websockets-with-session', { websocket: true, session: { gracePeriod: 60000, bufferSize: 500 } }, (connection) => {
+  expectType<WebsocketSession | undefined>(connection.session);
+  expectType<boolean | undefined>(connection.resumed);
+  connection.session?.send(JSON.stringify({ resumed: connection.resumed }));
+  expectType<void | undefined>(connection.session?.onExpire(() => {}));
+});
+app.get('/websockets-with-default-session', { websocket: true, session: true }, () => {});
+
+app.get('/websockets-with-message-buffer', { websocket: true, messageBuffer: { limit: 50 } }, async (connection) => {
+  expectType<AsyncIterableIterator<any>>(connection.messages());
+  for await (const message of connection.messages()) {
+    connection.send(message);
+  }
+});
+app.get('/websockets-with-default-message-buffer', { websocket: true, messageBuffer: true }, () => {});
+
+declare module '../..' {
+  interface SocketStream {
+    user: { name: string } | null;
+    subscriptions: Set<string>;
+    isSubscribed(topic: string): boolean;
+  }
+}
+
+expectType<FastifyInstance>(app.decorateConnection('user', null));
+app.decorateConnection('subscriptions', {
+  init (connection, request) {
+    expectType<FastifyInstance>(this);
+    expectType<SocketStream>(connection);
+    expectType<FastifyRequest>(request);
+    return new Set<string>();
+  }
+}, ['user']);
+app.decorateConnection('isSubscribed', function (this: SocketStream, topic: string) {
+  return this.subscriptions.has(topic);
+});
+app.decorateConnection('label', {
+  getter () {
+    expectType<SocketStream>(this);
+    return this.user ? this.user.name : 'anonymous';
+  }
+});
+expectType<boolean>(app.hasConnectionDecorator('user'));
+app.get('/websockets-with-decorators', { websocket: true }, (connection) => {
+  expectType<{ name: string } | null>(connection.user);
+  expectType<boolean>(connection.isSubscribed('news'));
+});
+
+app.get('/websockets-with-rpc', {
+  websocket: true,
+  rpc: {
+    methods: {
+      add: ([a, b]: number[]) => a + b,
+      async greet (params, connection, request) {
+        expectType<FastifyInstance>(this);
+        expectType<SocketStream>(connection);
+        expectType<FastifyRequest>(request);
+        return `hello ${params.name}`;
+      }
+    },
+    timeout: 5000
+  }
+}, async (connection) => {
+  expectType<Promise<{ theme: string }>>(connection.call<{ theme: string }>('getSettings', { keys: ['theme'] }, { timeout: 1000 }));
+  connection.notify('welcome', ['hello']);
+});
+
+app.get<{ Querystring: { room: string }, Incoming: { text: string }, Outgoing: { echo: string } }>('/websockets-with-typed-messages', { websocket: true, messageFormat: 'json' }, async (connection, request) => {
+  expectType<TypedSocketStream<{ text: string }, { echo: string }>>(connection);
+  expectType<string>(request.query.room);
+  connection.socket.on('message', (message) => {
+    expectType<{ text: string }>(message);
+    connection.send({ echo: message.text });
+  });
+  connection.socket.send({ echo: 'hello' });
+  expectError(connection.send({ text: 'hello' }));
+  for await (const message of connection.messages()) {
+    expectType<{ text: string }>(message);
+  }
+});
+app.get<{ Outgoing: { echo: string } }>('/websockets-with-typed-outgoing-messages', { websocket: true }, (connection) => {
+  expectType<TypedSocketStream<WebSocket.RawData, { echo: string }>>(connection);
+});
+
+// a type provider infers the types of the messages from the schemas of the route
+interface TypedSchema<T> {
+  type: 'object';
+  properties: Record<string, unknown>;
+  static?: T;
+}
+interface TypedSchemaProvider extends FastifyTypeProvider {
+  output: this['input'] extends TypedSchema<infer T> ? T : unknown;
+}
+declare const chatMessage: TypedSchema<{ text: string }>;
+declare const chatEvent: TypedSchema<{ from: string, text: string }>;
+
+const typedApp = fastify().withTypeProvider<TypedSchemaProvider>();
+typedApp.register(wsPlugin);
+typedApp.get('/websockets-with-schemas', { websocket: true, schema: { message: chatMessage, outgoing: chatEvent } }, (connection) => {
+  expectType<TypedSocketStream<{ text: string }, { from: string, text: string }>>(connection);
+  connection.socket.on('message', (message) => {
+    connection.send({ from: 'server', text: message.text });
+  });
+});
+typedApp.get('/websockets-without-schemas', { websocket: true }, (connection) => {
+  expectType<SocketStream>(connection);
+});
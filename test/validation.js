@@ -0,0 +1,255 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+const messageSchema = {
+  type: 'object',
+  properties: {
+    type: { type: 'string' },
+    room: { type: 'string' }
+  },
+  required: ['type']
+}
+
+test('Should deliver parsed and validated messages to the handler', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', { websocket: true, schema: { message: messageSchema } }, (connection) => {
+    connection.socket.on('message', message => {
+      t.same(message, { type: 'join', room: 'lobby' })
+      connection.socket.send('joined ' + message.room)
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send(JSON.stringify({ type: 'join', room: 'lobby' }))
+
+  const [reply] = await once(ws, 'message')
+  t.equal(reply.toString(), 'joined lobby')
+  ws.terminate()
+})
+
+test('Should close the connection with 1008 on messages not matching the schema', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', { websocket: true, schema: { message: messageSchema } }, (connection) => {
+    connection.socket.on('message', () => {
+      t.fail('invalid messages should not reach the handler')
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send(JSON.stringify({ room: 'lobby' }))
+
+  const [code, reason] = await once(ws, 'close')
+  t.equal(code, 1008)
+  t.equal(reason.toString(), 'Invalid message')
+})
+
+test('Should close the connection with 1007 on messages that are not JSON', async (t) => {
+  t.plan(1)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', { websocket: true, schema: { message: messageSchema } }, (connection) => {
+    connection.socket.on('message', () => {
+      t.fail('invalid messages should not reach the handler')
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send('not json')
+
+  const [code] = await once(ws, 'close')
+  t.equal(code, 1007)
+})
+
+test('Should send an error frame and keep the connection open with onInvalidMessage: send', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', {
+    websocket: true,
+    onInvalidMessage: 'send',
+    schema: { message: messageSchema }
+  }, (connection) => {
+    connection.socket.on('message', message => {
+      t.equal(message.type, 'ping')
+      connection.socket.send('pong')
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send(JSON.stringify({ type: { name: 'ping' } }))
+
+  const [error] = await once(ws, 'message')
+  t.same(JSON.parse(error), { error: 'Invalid message', message: 'message/type must be string' })
+
+  ws.send(JSON.stringify({ type: 'ping' }))
+  const [reply] = await once(ws, 'message')
+  t.equal(reply.toString(), 'pong')
+  ws.terminate()
+})
+
+test('Should call the errorHandler with the validation error with onInvalidMessage: errorHandler', async (t) => {
+  t.plan(5)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, {
+    onInvalidMessage: 'errorHandler',
+    errorHandler: function (error, connection, request, reply) {
+      t.equal(this, fastify)
+      t.equal(error.message, "message must have required property 'type'")
+      t.equal(error.validationContext, 'message')
+      t.equal(error.validation[0].keyword, 'required')
+      connection.socket.close(4000)
+    }
+  })
+
+  fastify.get('/', { websocket: true, schema: { message: messageSchema } }, () => {})
+
+  const ws = await fastify.injectWS('/')
+  ws.send('{}')
+
+  const [code] = await once(ws, 'close')
+  t.equal(code, 4000)
+})
+
+test('Should call a custom onInvalidMessage function', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', {
+    websocket: true,
+    schema: { message: messageSchema },
+    onInvalidMessage: (error, connection, request) => {
+      t.equal(error.closeCode, 1007)
+      t.equal(request.ws, true)
+      connection.socket.close(4001)
+    }
+  }, () => {})
+
+  const ws = await fastify.injectWS('/')
+  ws.send('{')
+
+  const [code] = await once(ws, 'close')
+  t.equal(code, 4001)
+})
+
+test('Should only push valid frames to the connection stream', async (t) => {
+  t.plan(1)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', {
+    websocket: true,
+    onInvalidMessage: () => {},
+    schema: { message: messageSchema }
+  }, (connection) => {
+    connection.once('data', chunk => {
+      t.same(chunk, { type: 'valid' })
+      connection.end()
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send('{"type":{}}')
+  ws.send('{"type":"valid"}')
+  await once(ws, 'close')
+})
+
+test('Should use the validator compiler of the route', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', {
+    websocket: true,
+    schema: { message: messageSchema },
+    validatorCompiler: ({ schema }) => {
+      t.equal(schema, messageSchema)
+      return data => data.type === 'custom'
+    }
+  }, (connection) => {
+    connection.socket.on('message', message => {
+      t.same(message, { type: 'custom' })
+      connection.socket.close()
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send('{"type":"custom"}')
+  const [code] = await once(ws, 'close')
+  t.equal(code, 1005)
+})
+
+test('Should validate and serialize outgoing messages', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', { websocket: true, schema: { outgoing: messageSchema } }, (connection) => {
+    connection.socket.send({ type: 'welcome' })
+    connection.socket.send('raw')
+    t.throws(() => connection.socket.send({ room: 'lobby' }), /outgoing must have required property 'type'/)
+  })
+
+  const ws = await fastify.injectWS('/')
+  const [first] = await once(ws, 'message')
+  t.same(JSON.parse(first), { type: 'welcome' })
+  const [second] = await once(ws, 'message')
+  t.equal(second.toString(), 'raw')
+  ws.terminate()
+})
+
+test('Should fail if onInvalidMessage is not valid', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await t.rejects(fastify.register(fastifyWebsocket, { onInvalidMessage: 'ignore' }), /invalid onInvalidMessage option/)
+
+  const other = Fastify()
+  t.teardown(() => other.close())
+  await other.register(fastifyWebsocket)
+
+  t.throws(() => {
+    other.get('/', { websocket: true, onInvalidMessage: 'ignore' }, () => {})
+  }, /invalid onInvalidMessage option/)
+})
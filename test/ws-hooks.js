@@ -0,0 +1,313 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+test('Should run the onWsConnect hooks before the handler', async (t) => {
+  t.plan(5)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  const calls = []
+  fastify.addHook('onWsConnect', function (connection, request) {
+    t.equal(this, fastify)
+    t.equal(request.url, '/?user=1')
+    calls.push('first')
+  })
+  fastify.addHook('onWsConnect', async (connection) => {
+    await new Promise(resolve => setTimeout(resolve, 20))
+    connection.user = 'alice'
+    calls.push('second')
+  })
+
+  fastify.get('/', { websocket: true }, (connection) => {
+    t.same(calls, ['first', 'second'])
+    connection.socket.on('message', message => {
+      connection.socket.send(`${connection.user}: ${message}`)
+    })
+  })
+
+  const ws = await fastify.injectWS('/', { query: 'user=1' })
+  t.teardown(() => ws.terminate())
+  // sent while the hooks are running
+  ws.send('hello')
+  ws.send('world')
+
+  const messages = []
+  ws.on('message', message => messages.push(message.toString()))
+  await once(ws, 'message')
+  await once(ws, 'message')
+  t.equal(messages[0], 'alice: hello')
+  t.equal(messages[1], 'alice: world')
+})
+
+test('Should transform and drop messages with the onWsMessage hooks, in order', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.addHook('onWsMessage', async (connection, message) => {
+    // the first message takes longer to process, but is still delivered first
+    if (message.seq === 1) {
+      await new Promise(resolve => setTimeout(resolve, 20))
+    }
+    if (message.spam) {
+      return null
+    }
+    return Object.assign({ checked: true }, message)
+  })
+  fastify.addHook('onWsMessage', (connection, message) => {
+    t.ok(message.checked)
+  })
+
+  fastify.get('/', { websocket: true, messageFormat: 'json' }, (connection) => {
+    const received = []
+    connection.on('data', message => {
+      received.push(message.seq)
+      if (received.length === 2) {
+        connection.end(received)
+      }
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send(JSON.stringify({ seq: 1 }))
+  ws.send(JSON.stringify({ seq: 2, spam: true }))
+  ws.send(JSON.stringify({ seq: 3 }))
+
+  const [message] = await once(ws, 'message')
+  t.same(JSON.parse(message), [1, 3])
+})
+
+test('Should run the onWsClose hooks with the close code and reason', async (t) => {
+  t.plan(4)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  let connection
+  fastify.addHook('onWsClose', function (conn, code, reason, request) {
+    t.equal(conn, connection)
+    t.equal(code, 4000)
+    t.equal(reason.toString(), 'bye')
+    t.equal(request.ws, true)
+  })
+
+  fastify.get('/', { websocket: true }, (conn) => {
+    connection = conn
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.close(4000, 'bye')
+  await once(connection.socket, 'close')
+})
+
+test('Should run the onWsError hooks on socket and handler errors', async (t) => {
+  t.plan(6)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, {
+    errorHandler: (error, connection) => {
+      t.equal(error.message, 'handler failed')
+      connection.socket.close(4001)
+    }
+  })
+
+  fastify.addHook('onWsError', (connection, error, request) => {
+    t.ok(request.ws)
+    t.match(error.message, /^(Max payload size exceeded|handler failed)$/)
+  })
+
+  fastify.get('/payload', { websocket: true, wsOptions: { maxPayload: 2 } }, (connection) => {
+    connection.on('error', () => {})
+  })
+  fastify.get('/throw', { websocket: true }, () => {
+    throw new Error('handler failed')
+  })
+
+  const payload = await fastify.injectWS('/payload')
+  payload.send('too large')
+  const [payloadCode] = await once(payload, 'close')
+  t.equal(payloadCode, 1009)
+
+  const thrown = await fastify.injectWS('/throw')
+  await once(thrown, 'close')
+})
+
+test('Should call the errorHandler when an onWsConnect or onWsMessage hook fails', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, {
+    errorHandler: (error, connection) => {
+      t.match(error.message, /^(connect|message) hook failed$/)
+      connection.socket.close(4002)
+    }
+  })
+
+  fastify.register(async function (instance) {
+    instance.addHook('onWsConnect', async () => {
+      await new Promise(resolve => setTimeout(resolve, 10))
+      throw new Error('connect hook failed')
+    })
+    instance.get('/connect', { websocket: true }, () => t.fail('should not call the handler'))
+  })
+  fastify.register(async function (instance) {
+    instance.addHook('onWsMessage', async () => {
+      throw new Error('message hook failed')
+    })
+    instance.get('/message', { websocket: true }, (connection) => {
+      connection.socket.on('message', () => t.fail('should not deliver the message'))
+    })
+  })
+
+  const connect = await fastify.injectWS('/connect')
+  // dropped since the handler is never called
+  connect.send('hello')
+  await once(connect, 'close')
+
+  const ws = await fastify.injectWS('/message')
+  ws.send('hello')
+  const [code] = await once(ws, 'close')
+  t.equal(code, 4002)
+})
+
+test('Should keep delivering the messages after one of them failed asynchronously', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  const errors = []
+  await fastify.register(fastifyWebsocket, {
+    errorHandler: (error) => {
+      errors.push(error.message)
+    }
+  })
+
+  fastify.addHook('onWsConnect', async () => {
+    await new Promise(resolve => setTimeout(resolve, 10))
+  })
+  fastify.get('/', {
+    websocket: true,
+    messageFormat: 'json',
+    onInvalidMessage: () => {
+      throw new Error('invalid message handler failed')
+    }
+  }, (connection) => {
+    connection.socket.on('message', message => {
+      connection.socket.send(message)
+    })
+  })
+
+  const ws = await fastify.injectWS('/')
+  // sent while the onWsConnect hook runs, so that they go through the queue
+  ws.send('not json')
+  ws.send('"two"')
+  ws.send('"three"')
+
+  const messages = []
+  ws.on('message', message => messages.push(message.toString()))
+  await once(ws, 'message')
+  await once(ws, 'message')
+  t.same(messages, ['two', 'three'])
+  t.same(errors, ['invalid message handler failed'])
+})
+
+test('Should respect the encapsulation of the hooks', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  const calls = []
+  fastify.addHook('onWsConnect', (connection, request) => {
+    calls.push(`root ${request.url}`)
+  })
+
+  fastify.register(async function (child) {
+    child.addHook('onWsConnect', (connection, request) => {
+      calls.push(`child ${request.url}`)
+    })
+    child.get('/child', { websocket: true }, (connection) => connection.socket.close())
+  })
+  fastify.register(async function (sibling) {
+    sibling.get('/sibling', { websocket: true }, (connection) => connection.socket.close())
+  })
+
+  await fastify.injectWS('/child').then(ws => once(ws, 'close'))
+  t.same(calls, ['root /child', 'child /child'])
+
+  calls.length = 0
+  await fastify.injectWS('/sibling').then(ws => once(ws, 'close'))
+  t.same(calls, ['root /sibling'])
+})
+
+test('Should log the failures of the onWsClose and onWsError hooks', async (t) => {
+  t.plan(2)
+
+  const logs = []
+  const fastify = Fastify({
+    logger: {
+      level: 'error',
+      stream: { write: line => logs.push(JSON.parse(line)) }
+    }
+  })
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.addHook('onWsError', () => {
+    throw new Error('error hook failed')
+  })
+  fastify.addHook('onWsClose', () => {
+    throw new Error('close hook failed')
+  })
+
+  fastify.get('/', { websocket: true, wsOptions: { maxPayload: 2 } }, (connection) => {
+    connection.on('error', () => {})
+  })
+  fastify.get('/throw', { websocket: true }, () => {
+    throw new Error('handler failed')
+  })
+
+  const ws = await fastify.injectWS('/')
+  ws.send('too large')
+  await once(ws, 'close')
+
+  // the errorHandler still runs when the onWsError hooks fail
+  const thrown = await fastify.injectWS('/throw')
+  await once(thrown, 'close')
+  await new Promise(resolve => setTimeout(resolve, 10))
+
+  const hookLogs = logs.filter(log => log.msg.endsWith('hook failed'))
+  t.same(hookLogs.map(log => log.msg).sort(), ['onWsClose hook failed', 'onWsClose hook failed', 'onWsError hook failed', 'onWsError hook failed'])
+  t.equal(logs.filter(log => log.msg === 'handler failed').length, 1)
+})
+
+test('Should fail on invalid websocket hooks', async (t) => {
+  t.plan(1)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  t.throws(() => fastify.addHook('onWsMessage', 'transform'), /onWsMessage hook should be a function/)
+})
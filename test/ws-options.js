@@ -0,0 +1,139 @@
+'use strict'
+
+const test = require('tap').test
+const Fastify = require('fastify')
+const fastifyWebsocket = require('..')
+const { once } = require('events')
+
+test('Should apply the maxPayload of the route', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket, { options: { maxPayload: 1024 } })
+
+  fastify.get('/small', { websocket: true, wsOptions: { maxPayload: 4 } }, (connection) => {
+    connection.socket.on('message', () => t.fail('messages over maxPayload should not be received'))
+    connection.on('error', err => t.equal(err.message, 'Max payload size exceeded'))
+  })
+  fastify.get('/large', { websocket: true }, (connection) => {
+    connection.socket.on('message', message => connection.socket.send(message))
+  })
+
+  const small = await fastify.injectWS('/small')
+  small.send('too large')
+  const [code] = await once(small, 'close')
+  t.equal(code, 1009)
+
+  const large = await fastify.injectWS('/large')
+  t.teardown(() => large.terminate())
+  large.send('not too large')
+  const [message] = await once(large, 'message')
+  t.equal(message.toString(), 'not too large')
+})
+
+test('Should enable perMessageDeflate for the route only', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/compressed', { websocket: true, wsOptions: { perMessageDeflate: true } }, () => {})
+  fastify.get('/threshold', { websocket: true, wsOptions: { perMessageDeflate: { threshold: 1024 } } }, () => {})
+  fastify.get('/plain', { websocket: true }, () => {})
+
+  const compressed = await fastify.injectWS('/compressed')
+  t.teardown(() => compressed.terminate())
+  t.match(compressed.extensions, /permessage-deflate/)
+
+  const threshold = await fastify.injectWS('/threshold')
+  t.teardown(() => threshold.terminate())
+  t.match(threshold.extensions, /permessage-deflate/)
+
+  const plain = await fastify.injectWS('/plain')
+  t.teardown(() => plain.terminate())
+  t.equal(plain.extensions, '')
+})
+
+test('Should use the handleProtocols of the route', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', {
+    websocket: true,
+    wsOptions: {
+      handleProtocols: (protocols, request) => {
+        t.same(Array.from(protocols), ['chat.v1', 'chat.v2'])
+        t.equal(request.url, '/')
+        return 'chat.v2'
+      }
+    }
+  }, () => {})
+
+  const ws = await fastify.injectWS('/', { protocols: ['chat.v1', 'chat.v2'] })
+  t.teardown(() => ws.terminate())
+  t.equal(ws.protocol, 'chat.v2')
+})
+
+test('Should reject the upgrade with the verifyClient of the route', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', {
+    websocket: true,
+    wsOptions: {
+      verifyClient: (info, done) => {
+        t.equal(info.req.headers['x-token'], 'wrong')
+        done(false, 403, 'Forbidden')
+      }
+    }
+  }, () => t.fail('should not upgrade'))
+
+  await t.rejects(fastify.injectWS('/', { headers: { 'x-token': 'wrong' } }), { statusCode: 403 })
+})
+
+test('Should track and close the connections of routes with their own options', async (t) => {
+  t.plan(3)
+
+  const fastify = Fastify()
+
+  await fastify.register(fastifyWebsocket)
+
+  fastify.get('/', { websocket: true, wsOptions: { maxPayload: 16 } }, () => {})
+
+  const ws = await fastify.injectWS('/')
+  t.equal(fastify.websocketServer.clients.size, 1)
+
+  const closed = once(ws, 'close')
+  await fastify.close()
+  const [code] = await closed
+  t.equal(code, 1001)
+  t.equal(fastify.websocketServer.clients.size, 0)
+})
+
+test('Should fail on wsOptions that only apply to the server', async (t) => {
+  t.plan(2)
+
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+
+  await fastify.register(fastifyWebsocket)
+
+  t.throws(() => {
+    fastify.get('/', { websocket: true, wsOptions: { path: '/other' } }, () => {})
+  }, /the path option cannot be set in the wsOptions of a route/)
+  t.throws(() => {
+    fastify.get('/tracking', { websocket: true, wsOptions: { clientTracking: false } }, () => {})
+  }, /the clientTracking option cannot be set in the wsOptions of a route/)
+})